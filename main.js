@@ -1,13 +1,59 @@
-const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain, powerMonitor, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 
 let mainWindow;
 let settingsCache = null;
+let notesIndexCache = null;
+let notesWriteQueue = Promise.resolve();
+let notesWatcher = null;
+const chatStreams = new Map();
+const chatIndexCache = new Map();
+let chatContextsChangedAt = 0;
+let chatContextTimer = null;
+let analysisJob = null;
+let lastAnalysisReport = null;
+let classificationCache = null;
+let classificationCacheTimer = null;
+let usageDays = null;
+let usageBroadcastTimer = null;
+let pendingImport = null;
+let vaultKey = null;
+let vaultSecrets = null;
+let vaultActivityAt = 0;
+let vaultLockTimer = null;
 
 const SETTINGS_FILE_NAME = 'settings.json';
 const NOTES_HEADER = '# OyVai Daily Notes';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHAT_THREAD_LIMIT = 200;
+const CHAT_HISTORY_TOKEN_BUDGET = 3000;
+const CHAT_RETRIEVAL_LIMIT = 8;
+const CHAT_RECENT_FALLBACK = 5;
+const CHAT_CONTEXT_REFRESH_DELAY = 1500;
+const ANALYSIS_CONCURRENCY = 3;
+const ANALYSIS_MAX_ATTEMPTS = 4;
+const ANALYSIS_BACKOFF_MS = 1000;
+const ANALYSIS_MAX_BACKOFF_MS = 30000;
+const CLASSIFICATION_CACHE_LIMIT = 20000;
+const IMPORT_MAX_BYTES = 50 * 1024 * 1024;
+const IMPORT_MAX_FILES = 20000;
+const VAULT_AUTO_LOCK_MINUTES = 15;
+const VAULT_MIN_PASSPHRASE = 8;
+const HISTORY_LIMIT = 50;
+const HISTORY_MERGE_MS = 10 * 60 * 1000;
+const HISTORY_DIFF_MAX_CELLS = 4000000;
+const TASK_CARRY_DAYS = 14;
+// USD per million tokens; settings.modelPricing adds or overrides models
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+};
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -31,6 +77,26 @@ function createWindow() {
 
   mainWindow.loadFile(path.join(__dirname, 'Index.html'));
 
+  // Links in rendered notes open in the system browser; the app window never navigates away
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^(https?:|mailto:)/i.test(url)) shell.openExternal(url);
+    return { action: 'deny' };
+  });
+  mainWindow.webContents.on('will-navigate', (event) => event.preventDefault());
+
+  // The renderer blocks unload while columns have unsaved edits; ask before closing anyway
+  mainWindow.webContents.on('will-prevent-unload', (event) => {
+    const choice = dialog.showMessageBoxSync(mainWindow, {
+      type: 'warning',
+      buttons: ['Close anyway', 'Keep editing'],
+      defaultId: 1,
+      cancelId: 1,
+      message: 'Some days have unsaved changes.',
+      detail: 'Their text is kept as a draft and offered again the next time you open OyVai.',
+    });
+    if (choice === 0) event.preventDefault();
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
@@ -53,55 +119,51 @@ function registerIpcHandlers() {
   });
 
   ipcMain.handle('notes:select-file', async () => {
-    const targetWindow = BrowserWindow.getFocusedWindow() || mainWindow;
-    const defaultPath = path.join(app.getPath('documents'), 'oyvai-daily-notes.md');
-
-    const choice = await dialog.showMessageBox(targetWindow, {
-      type: 'question',
-      buttons: ['Select existing file', 'Create new file', 'Cancel'],
-      defaultId: 0,
-      cancelId: 2,
-      message: 'Use an existing notes file or create a new one?',
-      detail: 'Existing: pick a Markdown file you already have. New: create a fresh oyvai-daily-notes.md file.',
-    });
-
-    if (choice.response === 2) return { canceled: true };
-
-    let selectedPath = null;
-    if (choice.response === 0) {
-      const { canceled, filePaths } = await dialog.showOpenDialog(targetWindow, {
-        title: 'Select existing notes file',
-        properties: ['openFile', 'dontAddToRecent'],
-        filters: [
-          { name: 'Markdown', extensions: ['md', 'markdown', 'txt'] },
-          { name: 'All Files', extensions: ['*'] },
-        ],
-      });
-      if (canceled || !filePaths || filePaths.length === 0) return { canceled: true };
-      selectedPath = filePaths[0];
-    } else {
-      const { canceled, filePath } = await dialog.showSaveDialog(targetWindow, {
-        title: 'Create daily notes file',
-        defaultPath,
-        filters: [
-          { name: 'Markdown', extensions: ['md', 'markdown', 'txt'] },
-          { name: 'All Files', extensions: ['*'] },
-        ],
-      });
-      if (canceled || !filePath) return { canceled: true };
-      selectedPath = filePath;
-    }
+    const selectedPath = await pickNotesFile(BrowserWindow.getFocusedWindow() || mainWindow);
+    if (!selectedPath) return { canceled: true };
+    await openNotesFile(selectedPath);
+    return { canceled: false, filePath: selectedPath };
+  });
 
+  // Notebooks
+  ipcMain.handle('notebooks:list', async () => describeNotebooks());
+  ipcMain.handle('notebooks:add', async (_event, { title } = {}) => {
+    const selectedPath = await pickNotesFile(BrowserWindow.getFocusedWindow() || mainWindow);
+    if (!selectedPath) return { success: false, canceled: true };
+    const { existing } = await openNotesFile(selectedPath, title);
+    return { success: true, ...(existing ? { existing: true } : {}), ...describeNotebooks() };
+  });
+  ipcMain.handle('notebooks:switch', async (_event, { id } = {}) => {
+    if (!(await activateNotebook(id))) return { success: false, reason: 'UNKNOWN_NOTEBOOK' };
+    return { success: true, ...describeNotebooks() };
+  });
+  ipcMain.handle('notebooks:rename', async (_event, { id, title } = {}) => {
+    const notebook = loadNotebooks().find((nb) => nb.id === id);
+    if (!notebook) return { success: false, reason: 'UNKNOWN_NOTEBOOK' };
+    const next = String(title || '').trim();
+    if (!next) return { success: false, reason: 'EMPTY_TITLE' };
+    notebook.title = next.slice(0, 60);
+    saveSettings(loadSettings());
+    return { success: true, ...describeNotebooks() };
+  });
+  // Only unregisters the notebook: its notes file stays on disk, and its entry moves to
+  // settings.removedNotebooks so its states, history, drafts, chats and cache (kept under its id)
+  // come back when the same file is opened again
+  ipcMain.handle('notebooks:remove', async (_event, { id } = {}) => {
     const settings = loadSettings();
-    settings.notesFilePath = selectedPath;
-    await ensureNotesFile(selectedPath);
+    const notebooks = loadNotebooks();
+    const removed = notebooks.find((nb) => nb.id === id);
+    if (!removed) return { success: false, reason: 'UNKNOWN_NOTEBOOK' };
+    if (settings.activeNotebookId === id) return { success: false, reason: 'ACTIVE' };
+    settings.notebooks = notebooks.filter((nb) => nb.id !== id);
+    const previous = Array.isArray(settings.removedNotebooks) ? settings.removedNotebooks : [];
+    settings.removedNotebooks = [...previous.filter((nb) => nb.notesFilePath !== removed.notesFilePath), removed];
     saveSettings(settings);
-    broadcastNotesPathChanged(selectedPath);
-    return { canceled: false, filePath: selectedPath };
+    return { success: true, ...describeNotebooks() };
   });
 
   ipcMain.handle('notes:save', async (_event, payload) => {
-    const { dateKey, content } = payload || {};
+    const { dateKey, content, autosave } = payload || {};
     if (!dateKey || typeof dateKey !== 'string') {
       throw new Error('Invalid date key.');
     }
@@ -114,26 +176,80 @@ function registerIpcHandlers() {
       return { success: false, reason: 'NO_PATH' };
     }
 
-    await ensureNotesFile(settings.notesFilePath);
-
-    const markdown = await fs.promises.readFile(settings.notesFilePath, 'utf8');
-    const { header, notes } = parseNotes(markdown);
-
     const normalized = normalizeBullets(content);
-    if (normalized.length > 0) {
-      const previous = notes[dateKey] || '';
-      notes[dateKey] = mergeCategoryMarkers(previous, normalized);
-    } else {
-      delete notes[dateKey];
-    }
+    await updateNotesFile(settings.notesFilePath, (notes) => {
+      if (normalized.length === 0) return { [dateKey]: null };
+      return { [dateKey]: mergeCategoryMarkers(notes[dateKey] || '', normalized) };
+    }, { source: autosave ? 'autosave' : 'save' });
+    await discardDraft(dateKey).catch((error) => console.error('Draft error:', error));
+
+    broadcastNotesUpdated(dateKey);
 
-    const updated = buildNotesDocument(header, notes);
-    await fs.promises.writeFile(settings.notesFilePath, updated, 'utf8');
+    return { success: true };
+  });
 
+  // Hand-set labels for one bullet; index counts the day's non-empty lines and text guards
+  // against the day having been edited since the renderer last loaded it
+  ipcMain.handle('notes:set-bullet-labels', async (_event, { dateKey, index, text, labels } = {}) => {
+    if (!dateKey || typeof dateKey !== 'string') throw new Error('Invalid date key.');
+    if (!Number.isInteger(index) || index < 0) throw new Error('Invalid bullet index.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const next = normalizeCategoryLabels(labels);
+    const known = new Set(loadAllStates().map((s) => s.code));
+    if (next.some((l) => !known.has(l.code))) return { success: false, reason: 'UNKNOWN_STATE' };
+    let reason = null;
+    await updateNotesFile(settings.notesFilePath, (notes) => {
+      const lines = String(notes[dateKey] || '').split('\n');
+      const positions = [];
+      lines.forEach((line, i) => { if (line.trim()) positions.push(i); });
+      const pos = positions[index];
+      if (pos === undefined) { reason = 'CHANGED'; return null; }
+      const base = stripCategoryMarkers(lines[pos]).text.trimEnd();
+      if (typeof text === 'string' && base.trim().replace(/^-\s*/, '').trim() !== text.trim()) { reason = 'CHANGED'; return null; }
+      const marker = formatCategoryMarker(next, { manual: true });
+      lines[pos] = marker ? `${base} ${marker}` : base;
+      return { [dateKey]: lines.join('\n') };
+    }, { source: 'labels' });
+    if (reason) return { success: false, reason };
     broadcastNotesUpdated(dateKey);
+    return { success: true };
+  });
 
+  // Checks or unchecks one task bullet; index and text work as in notes:set-bullet-labels
+  ipcMain.handle('notes:toggle-task', async (_event, { dateKey, index, text, done } = {}) => {
+    if (!dateKey || typeof dateKey !== 'string') throw new Error('Invalid date key.');
+    if (!Number.isInteger(index) || index < 0) throw new Error('Invalid bullet index.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    let reason = null;
+    await updateNotesFile(settings.notesFilePath, (notes) => {
+      const lines = String(notes[dateKey] || '').split('\n');
+      const positions = [];
+      lines.forEach((line, i) => { if (line.trim()) positions.push(i); });
+      const pos = positions[index];
+      if (pos === undefined) { reason = 'CHANGED'; return null; }
+      const base = stripCategoryMarkers(lines[pos]).text.trim();
+      if (typeof text === 'string' && base.replace(/^-\s*/, '').trim() !== text.trim()) { reason = 'CHANGED'; return null; }
+      const task = splitTaskLine(lines[pos]);
+      if (!task) { reason = 'NOT_TASK'; return null; }
+      lines[pos] = `${task.indent}${formatTaskLine(done ? 'x' : ' ', task.text)}${task.tail}`;
+      return { [dateKey]: lines.join('\n') };
+    }, { source: 'tasks' });
+    if (reason) return { success: false, reason };
+    broadcastNotesUpdated(dateKey);
     return { success: true };
   });
+  // The renderer passes its local date; open tasks of earlier days move into it
+  ipcMain.handle('notes:carry-tasks', async (_event, { today } = {}) => {
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    if (settings.carryForwardTasks === false) return { success: true, dateKeys: [] };
+    const todayKey = parseDateKey(today) === null ? todayDateKey() : today;
+    const changed = await carryForwardTasks(settings.notesFilePath, todayKey);
+    if (changed.length > 0) broadcastNotesUpdated(null, { dateKeys: changed });
+    return { success: true, dateKeys: changed };
+  });
 
   ipcMain.handle('notes:load', async (_event, dateKey) => {
     if (!dateKey || typeof dateKey !== 'string') {
@@ -145,18 +261,178 @@ function registerIpcHandlers() {
       return { content: '' };
     }
 
-    await ensureNotesFile(settings.notesFilePath);
-    const markdown = await fs.promises.readFile(settings.notesFilePath, 'utf8');
-    const { notes } = parseNotes(markdown);
+    const { notes } = await readNotes(settings.notesFilePath);
     const raw = notes[dateKey] || '';
-    const { text, codes } = stripCategoryMarkers(raw);
-    return { content: text, categories: codes };
+    const { text, codes, labels, manual } = stripCategoryMarkers(raw);
+    return { content: text, categories: codes, labels, manual };
+  });
+
+  ipcMain.handle('notes:load-range', async (_event, { from, to } = {}) => {
+    if (!from || typeof from !== 'string' || !to || typeof to !== 'string') {
+      throw new Error('Invalid date range.');
+    }
+
+    const settings = loadSettings();
+    if (!settings.notesFilePath) {
+      return { days: {} };
+    }
+
+    const { notes, reviews: storedReviews, metrics } = await readNotes(settings.notesFilePath);
+    const days = {};
+    for (const [dateKey, raw] of Object.entries(notes)) {
+      if (!dateKeyInRange(dateKey, from, to)) continue;
+      const { text, codes, labels, manual } = stripCategoryMarkers(raw || '');
+      days[dateKey] = { content: text, categories: codes, labels, manual, metrics: metrics[dateKey] || {} };
+    }
+    const reviews = describeReviews(storedReviews)
+      .filter((review) => review.to >= from && review.from <= to)
+      .map(({ content, ...rest }) => rest);
+    return { days, reviews };
+  });
+
+  ipcMain.handle('notes:search', async (_event, payload = {}) => {
+    const { query, from, to, limit } = payload || {};
+    if (typeof query !== 'string') throw new Error('Invalid query.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const { notes } = await readNotes(settings.notesFilePath);
+    return { success: true, ...searchNotes(notes, { query, from, to, limit }) };
+  });
+
+  // Day history: versions are listed newest first; a diff compares a version with the one before
+  // it (what that write changed) or with the current content (what a restore would change)
+  ipcMain.handle('history:list', async (_event, { dateKey } = {}) => {
+    if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const { notes } = await readNotes(settings.notesFilePath);
+    const current = (notes[dateKey] || '').trim();
+    const versions = (await loadDayHistory(dateKey)).map(({ id, at, source, content }) => ({
+      id, at, source, bullets: extractBulletBase(content).bullets.length, current: content === current,
+    }));
+    return { success: true, dateKey, versions: versions.reverse() };
+  });
+  ipcMain.handle('history:diff', async (_event, { dateKey, id, against = 'previous' } = {}) => {
+    if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const versions = await loadDayHistory(dateKey);
+    const position = versions.findIndex((v) => v.id === id);
+    if (position === -1) return { success: false, reason: 'NOT_FOUND' };
+    const version = versions[position];
+    if (against === 'current') {
+      const { notes } = await readNotes(settings.notesFilePath);
+      return { success: true, diff: diffLines((notes[dateKey] || '').trim(), version.content) };
+    }
+    const before = position > 0 ? versions[position - 1].content : '';
+    return { success: true, diff: diffLines(before, version.content) };
+  });
+  ipcMain.handle('history:restore', async (_event, { dateKey, id } = {}) => {
+    if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const version = (await loadDayHistory(dateKey)).find((v) => v.id === id);
+    if (!version) return { success: false, reason: 'NOT_FOUND' };
+    const changed = await updateNotesFile(settings.notesFilePath, () => ({ [dateKey]: version.content || null }), { source: 'restore' });
+    if (changed.length > 0) broadcastNotesUpdated(dateKey);
+    return { success: true, changed: changed.length > 0 };
+  });
+
+  // Drafts of unsaved column text; notes:save drops the draft of the day it writes
+  ipcMain.handle('drafts:list', async () => {
+    if (!loadSettings().notesFilePath) return { success: false, reason: 'NO_PATH' };
+    return { success: true, drafts: await loadDrafts() };
+  });
+  ipcMain.handle('drafts:save', async (_event, { dateKey, content, base } = {}) => {
+    if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+    if (!loadSettings().notesFilePath) return { success: false, reason: 'NO_PATH' };
+    if (typeof content !== 'string' || !content.trim()) {
+      await discardDraft(dateKey);
+      return { success: true };
+    }
+    const draft = { dateKey, content, base: typeof base === 'string' ? base : '', savedAt: Date.now() };
+    await writeNotebookFile(getDraftPath(dateKey), JSON.stringify(draft));
+    return { success: true };
+  });
+  ipcMain.handle('drafts:discard', async (_event, { dateKey } = {}) => {
+    if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+    await discardDraft(dateKey);
+    return { success: true };
+  });
+
+  // Import is two steps: import-preview reads the source and returns what would be added
+  // (nothing is written), import-apply merges that plan into the current file
+  ipcMain.handle('notes:import-preview', async (_event, { format } = {}) => {
+    if (!getImportFormats().includes(format)) return { success: false, reason: 'INVALID_FORMAT' };
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const sourcePath = await pickImportSource(BrowserWindow.getFocusedWindow() || mainWindow, format);
+    if (!sourcePath) return { success: false, canceled: true };
+    let imported;
+    try {
+      imported = await readImportSource(format, sourcePath);
+    } catch (error) {
+      return { success: false, reason: 'UNREADABLE', error: error.message };
+    }
+    if (Object.keys(imported).length === 0) return { success: false, reason: 'EMPTY' };
+    const { notes } = await readNotes(settings.notesFilePath);
+    const plan = planImport(imported, notes);
+    pendingImport = { token: `import-${Date.now()}`, filePath: settings.notesFilePath, imported };
+    return { success: true, token: pendingImport.token, source: sourcePath, preview: describeImportPlan(plan, notes) };
+  });
+  ipcMain.handle('notes:import-apply', async (_event, { token } = {}) => {
+    const settings = loadSettings();
+    if (!pendingImport || pendingImport.token !== token || pendingImport.filePath !== settings.notesFilePath) {
+      return { success: false, reason: 'EXPIRED' };
+    }
+    const { imported } = pendingImport;
+    pendingImport = null;
+    let added = 0;
+    // Planned again against the latest content so edits since the preview are not duplicated
+    const changed = await updateNotesFile(settings.notesFilePath, (latest) => {
+      const plan = planImport(imported, latest);
+      const updates = {};
+      for (const [dateKey, bullets] of Object.entries(plan.days)) {
+        const lines = bullets.map((bullet) => `- ${bullet}`).join('\n');
+        updates[dateKey] = latest[dateKey] ? `${latest[dateKey]}\n${lines}` : lines;
+        added += bullets.length;
+      }
+      return updates;
+    }, { source: 'import' });
+    if (changed.length > 0) broadcastNotesUpdated(null, { dateKeys: changed });
+    return { success: true, days: changed.length, bullets: added };
+  });
+
+  ipcMain.handle('notes:export', async (_event, { format, from, to, state } = {}) => {
+    const extension = getExportFormats()[format];
+    if (!extension) return { success: false, reason: 'INVALID_FORMAT' };
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const states = loadAllStates();
+    if (state && !states.some((s) => s.code === state)) return { success: false, reason: 'UNKNOWN_STATE' };
+    const { notes, metrics } = await readNotes(settings.notesFilePath);
+    const metricIds = state ? (states.find((s) => s.code === state).metrics || []).map((m) => m.id) : null;
+    const days = collectExportDays(notes, { from, to, state, metrics, metricIds });
+    if (days.length === 0) return { success: false, reason: 'EMPTY' };
+    const targetWindow = BrowserWindow.getFocusedWindow() || mainWindow;
+    const { canceled, filePath } = await dialog.showSaveDialog(targetWindow, {
+      title: 'Export notes',
+      defaultPath: path.join(app.getPath('documents'), `oyvai-export-${todayDateKey()}${state ? `-${state}` : ''}.${extension}`),
+      filters: [{ name: extension.toUpperCase(), extensions: [extension] }],
+    });
+    if (canceled || !filePath) return { success: false, canceled: true };
+    const exportedAt = Date.now();
+    await writeFileAtomic(filePath, renderExport(format, days, states, { from, to, state, exportedAt }));
+    return { success: true, filePath, days: days.length, bullets: days.reduce((sum, d) => sum + d.bullets.length, 0) };
   });
 
   // States management (with delete for custom states)
   ipcMain.handle('states:get', async () => ({ states: loadAllStates() }));
   ipcMain.handle('states:add', async (_event, payload = {}) => {
-    const { title, description, color, code } = payload || {};
+    const { title, description, color, code, icon, keywords, metrics } = payload || {};
+    const nextMetrics = normalizeStateMetrics(metrics || []);
+    if (!nextMetrics) return { success: false, reason: 'INVALID_METRIC' };
+    if (metricIdTaken(nextMetrics, null)) return { success: false, reason: 'DUPLICATE_METRIC' };
     const settings = loadSettings();
     if (!settings.customStates) settings.customStates = [];
     const used = new Set(loadAllStates().map((s) => s.code));
@@ -167,15 +443,30 @@ function registerIpcHandlers() {
     }
     const allowed = new Set(getAllowedColors());
     const chosen = allowed.has(String(color || 'slate').toLowerCase()) ? String(color || 'slate').toLowerCase() : 'slate';
-    settings.customStates.push({ code: newCode, title: String(title || 'Custom'), description: String(description || ''), color: chosen });
+    const state = {
+      code: newCode,
+      title: String(title || 'Custom'),
+      description: String(description || ''),
+      color: chosen,
+      icon: getAllowedIcons().includes(icon) ? icon : '',
+      keywords: normalizeStateKeywords(keywords),
+      metrics: nextMetrics,
+    };
+    settings.customStates.push(state);
     saveSettings(settings);
     broadcastStatesUpdated();
-    return { success: true, state: { code: newCode, title: String(title || 'Custom'), description: String(description || ''), color: chosen } };
+    return { success: true, state };
   });
   ipcMain.handle('states:update', async (_event, payload = {}) => {
-    const { code, title, description, color } = payload || {};
+    const { code, title, description, color, rules, icon, keywords, metrics } = payload || {};
     if (!code) return { success: false };
     const c = String(code).toLowerCase();
+    const nextRules = rules === undefined ? undefined : normalizeStateRules(rules);
+    if (nextRules === null) return { success: false, reason: 'INVALID_RULE' };
+    if (icon !== undefined && !getAllowedIcons().includes(icon)) return { success: false, reason: 'INVALID_ICON' };
+    const nextMetrics = metrics === undefined ? undefined : normalizeStateMetrics(metrics);
+    if (nextMetrics === null) return { success: false, reason: 'INVALID_METRIC' };
+    if (nextMetrics && metricIdTaken(nextMetrics, c)) return { success: false, reason: 'DUPLICATE_METRIC' };
     const settings = loadSettings();
     if (!Array.isArray(settings.customStates)) settings.customStates = [];
     const allowed = new Set(getAllowedColors());
@@ -185,6 +476,10 @@ function registerIpcHandlers() {
       if (typeof title === 'string') next.title = title;
       if (typeof description === 'string') next.description = description;
       if (typeof color === 'string' && allowed.has(color.toLowerCase())) next.color = color.toLowerCase();
+      if (nextRules) next.rules = nextRules;
+      if (icon !== undefined) next.icon = icon;
+      if (keywords !== undefined) next.keywords = normalizeStateKeywords(keywords);
+      if (nextMetrics) next.metrics = nextMetrics;
       settings.customStates[idx] = next;
       saveSettings(settings);
       broadcastStatesUpdated();
@@ -195,76 +490,229 @@ function registerIpcHandlers() {
     if (typeof title === 'string') next.title = title;
     if (typeof description === 'string') next.description = description;
     if (typeof color === 'string' && allowed.has(color.toLowerCase())) next.color = color.toLowerCase();
+    if (nextRules) next.rules = nextRules;
+    if (icon !== undefined) next.icon = icon;
+    if (keywords !== undefined) next.keywords = normalizeStateKeywords(keywords);
+    if (nextMetrics) next.metrics = nextMetrics;
     settings.stateOverrides[c] = next;
     saveSettings(settings);
     broadcastStatesUpdated();
     return { success: true };
   });
-  ipcMain.handle('states:delete', async (_event, payload = {}) => {
-    const { code } = payload || {};
+  // Custom states are archived rather than deleted so markers using their code keep a title
+  // and color. Archived states are left out of classification and not offered in the label picker
+  ipcMain.handle('states:archive', async (_event, { code, archived = true } = {}) => {
     if (!code) return { success: false };
     const c = String(code).toLowerCase();
     const settings = loadSettings();
-    if (!Array.isArray(settings.customStates)) settings.customStates = [];
-    const before = settings.customStates.length;
-    settings.customStates = settings.customStates.filter(
-      (s) => String(s.code).toLowerCase() !== c
-    );
-    const changed = settings.customStates.length !== before;
-    if (changed) {
-      saveSettings(settings);
-      broadcastStatesUpdated();
-    }
-    return { success: changed };
+    const custom = Array.isArray(settings.customStates) ? settings.customStates : [];
+    const idx = custom.findIndex((s) => String(s.code).toLowerCase() === c);
+    if (idx === -1) return { success: false, reason: 'NOT_CUSTOM' };
+    custom[idx] = { ...custom[idx], archived: Boolean(archived) };
+    settings.customStates = custom;
+    saveSettings(settings);
+    broadcastStatesUpdated();
+    return { success: true };
+  });
+  // codes lists custom state codes in their new order; unlisted ones keep their place after them
+  ipcMain.handle('states:reorder', async (_event, { codes } = {}) => {
+    if (!Array.isArray(codes)) return { success: false };
+    const settings = loadSettings();
+    const custom = Array.isArray(settings.customStates) ? settings.customStates : [];
+    const rank = new Map(codes.map((code, i) => [String(code).toLowerCase(), i]));
+    const position = (s) => rank.get(String(s.code).toLowerCase()) ?? codes.length;
+    settings.customStates = custom
+      .map((s, i) => ({ s, i }))
+      .sort((a, b) => position(a.s) - position(b.s) || a.i - b.i)
+      .map(({ s }) => s);
+    saveSettings(settings);
+    broadcastStatesUpdated();
+    return { success: true };
+  });
+  // Renames a custom state's code, or merges it into another state when the new code is taken.
+  // Either way every {code} marker in the notes file is rewritten; a merged state is archived.
+  ipcMain.handle('states:rename', async (_event, { code, to } = {}) => {
+    const from = String(code || '').trim().toLowerCase();
+    const target = String(to || '').trim().toLowerCase();
+    if (!STATE_CODE_RE.test(target) || target === from) return { success: false, reason: 'INVALID_CODE' };
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const custom = Array.isArray(settings.customStates) ? settings.customStates : [];
+    const idx = custom.findIndex((s) => String(s.code).toLowerCase() === from);
+    if (idx === -1) return { success: false, reason: 'NOT_CUSTOM' };
+    const existing = loadAllStates().find((s) => s.code === target);
+    if (existing?.archived) return { success: false, reason: 'ARCHIVED' };
+    const merge = Boolean(existing);
+    let bullets = 0;
+    const changed = await updateNotesFile(settings.notesFilePath, (notes) => {
+      const updates = {};
+      for (const [dateKey, content] of Object.entries(notes)) {
+        const rewritten = rewriteMarkerCode(content, from, target);
+        if (!rewritten) continue;
+        updates[dateKey] = rewritten.content;
+        bullets += rewritten.bullets;
+      }
+      return Object.keys(updates).length > 0 ? updates : null;
+    }, { source: 'states' });
+    // Settings are re-read: the notes write may have taken a while
+    const latest = loadSettings();
+    latest.customStates = (latest.customStates || []).map((s) => {
+      if (String(s.code).toLowerCase() !== from) return s;
+      return merge ? { ...s, archived: true } : { ...s, code: target };
+    });
+    saveSettings(latest);
+    if (!merge) await renameChatThread(from, target);
+    if (changed.length > 0) broadcastNotesUpdated(null, { dateKeys: changed });
+    broadcastStatesUpdated();
+    return { success: true, code: target, merged: merge, days: changed.length, bullets };
+  });
+  ipcMain.handle('states:history', async (_event, { code } = {}) => {
+    if (!code || typeof code !== 'string') throw new Error('Invalid state code.');
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const { notes, metrics } = await readNotes(settings.notesFilePath);
+    const state = loadAllStates().find((s) => s.code === code.toLowerCase());
+    return { success: true, history: buildStateHistory(notes, code), metrics: buildMetricHistory(metrics, state?.metrics) };
+  });
+  // Sets (or with value null clears) one metric of a day; the day's bullets are left as they are
+  ipcMain.handle('metrics:set', async (_event, { dateKey, id, value } = {}) => {
+    if (!dateKey || parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+    const metric = findStateMetric(String(id || ''));
+    if (!metric) return { success: false, reason: 'UNKNOWN_METRIC' };
+    const stored = coerceMetricValue(metric, value);
+    if (stored === undefined) return { success: false, reason: 'OUT_OF_RANGE' };
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const changed = await updateNotesFile(settings.notesFilePath, (_notes, _header, _reviews, metrics) => {
+      const next = { ...(metrics[dateKey] || {}) };
+      if (stored === null) delete next[metric.id]; else next[metric.id] = stored;
+      return { [dateKey]: { metrics: next } };
+    }, { source: 'metrics' });
+    if (changed.length > 0) broadcastNotesUpdated(dateKey);
+    return { success: true, value: stored };
   });
 
-  // Chat endpoints
-  ipcMain.handle('chat:send-message', async (_event, { message, state } = {}) => {
-    if (!message || typeof message !== 'string') {
-      throw new Error('Invalid message.');
+  // LLM provider settings
+  ipcMain.handle('llm:get-config', async () => describeLlmConfig());
+  ipcMain.handle('llm:update-provider', async (_event, payload = {}) => {
+    const { id, baseUrl, model, apiKey, timeoutMs, headers } = payload || {};
+    if (!getDefaultProviders().some((p) => p.id === id)) return { success: false, reason: 'UNKNOWN_PROVIDER' };
+    const settings = loadSettings();
+    if (!settings.providerOverrides) settings.providerOverrides = {};
+    const next = { ...(settings.providerOverrides[id] || {}) };
+    if (typeof baseUrl === 'string') {
+      try {
+        const url = new URL(baseUrl.trim());
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('protocol');
+        next.baseUrl = baseUrl.trim();
+      } catch (_) {
+        return { success: false, reason: 'INVALID_URL' };
+      }
     }
-    
-    const apiKey = getOpenAIKey();
-    if (!apiKey) {
-      return { success: false, reason: 'NO_OPENAI_KEY' };
+    if (typeof model === 'string' && model.trim()) next.model = model.trim();
+    if (timeoutMs !== undefined) {
+      const ms = Number(timeoutMs);
+      if (!Number.isFinite(ms) || ms < 1000) return { success: false, reason: 'INVALID_TIMEOUT' };
+      next.timeoutMs = Math.round(ms);
     }
-    
+    if (headers !== undefined) next.headers = sanitizeHeaders(headers);
+    if (typeof apiKey === 'string' && settings.sealedSecrets) {
+      if (!vaultSecrets) return { success: false, reason: 'LOCKED' };
+      const secrets = { ...vaultSecrets.secrets, providers: { ...(vaultSecrets.secrets.providers || {}) } };
+      if (id === 'openai') secrets.openai = apiKey.trim();
+      else secrets.providers[id] = apiKey.trim();
+      setSealedSecrets(settings, vaultSecrets.vault, secrets);
+    } else if (typeof apiKey === 'string') {
+      if (id === 'openai') settings.openaiApiKey = apiKey.trim();
+      else next.apiKey = apiKey.trim();
+    }
+    settings.providerOverrides[id] = next;
+    saveSettings(settings);
+    return { success: true, config: describeLlmConfig() };
+  });
+  ipcMain.handle('llm:set-feature-provider', async (_event, { feature, providerId } = {}) => {
+    if (!getLlmFeatures().includes(feature)) return { success: false, reason: 'UNKNOWN_FEATURE' };
+    if (!getDefaultProviders().some((p) => p.id === providerId)) return { success: false, reason: 'UNKNOWN_PROVIDER' };
+    const settings = loadSettings();
+    settings.featureProviders = { ...(settings.featureProviders || {}), [feature]: providerId };
+    saveSettings(settings);
+    return { success: true, config: describeLlmConfig() };
+  });
+  ipcMain.handle('llm:set-classifier', async (_event, { mode, threshold } = {}) => {
+    const settings = loadSettings();
+    if (mode !== undefined) {
+      if (!getClassifierModes().includes(mode)) return { success: false, reason: 'UNKNOWN_MODE' };
+      settings.classifierMode = mode;
+    }
+    if (threshold !== undefined) {
+      const value = Number(threshold);
+      if (!Number.isFinite(value) || value < 0 || value > 1) return { success: false, reason: 'INVALID_THRESHOLD' };
+      settings.classifierThreshold = value;
+    }
+    saveSettings(settings);
+    return { success: true, config: describeLlmConfig() };
+  });
+  ipcMain.handle('llm:test-provider', async (_event, { id } = {}) => {
+    const provider = loadProviders().find((p) => p.id === id);
+    if (!provider) return { success: false, reason: 'UNKNOWN_PROVIDER' };
+    const keyError = getProviderKeyError(provider);
+    if (keyError) return { success: false, reason: keyError };
     try {
-      // Get context for the current state
-      const context = await getChatContext(state);
-      const systemPrompt = buildChatSystemPrompt(state, context);
-      
-      const payload = {
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        temperature: 0.7,
-        max_tokens: 1000
-      };
-      
-      const body = JSON.stringify(payload);
-      const response = await fetchOpenAI('/v1/chat/completions', apiKey, body);
-      
-      if (!response) {
-        return { success: false, reason: 'API_ERROR' };
-      }
-      
-      const data = JSON.parse(response);
-      const content = data.choices?.[0]?.message?.content?.trim();
-      
-      if (!content) {
-        return { success: false, reason: 'NO_CONTENT' };
-      }
-      
-      return { success: true, content };
+      const res = await requestChatCompletion(provider, { messages: [{ role: 'user', content: 'Reply with OK.' }], max_tokens: 5, temperature: 0 }, { feature: 'test' });
+      if (!res) return { success: false, reason: 'API_ERROR' };
+      const data = JSON.parse(res);
+      return { success: true, model: data.model || provider.model };
     } catch (error) {
-      console.error('Chat error:', error);
       return { success: false, reason: 'ERROR', error: error.message };
     }
   });
+
+  ipcMain.handle('usage:summary', async () => summarizeUsage());
+  ipcMain.handle('llm:clear-classification-cache', async () => {
+    classificationCache = new Map();
+    await saveClassificationCache();
+    broadcastUsageUpdated();
+    return { success: true };
+  });
+
+  // Chat endpoints
+  // Chat replies stream to the requesting window as chat:stream events ({ requestId, state, delta });
+  // the invoke resolves once the reply is complete and saved to the thread
+  ipcMain.handle('chat:send-message', async (event, { message, state, requestId } = {}) => {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Invalid message.');
+    }
+    return runChatTurn(event.sender, state, requestId, (messages) => [...messages, { role: 'user', content: message, createdAt: Date.now() }]);
+  });
+
+  ipcMain.handle('chat:regenerate', async (event, { state, requestId } = {}) => {
+    return runChatTurn(event.sender, state, requestId, (messages) => {
+      const next = [...messages];
+      if (next.length > 0 && next[next.length - 1].role === 'assistant') next.pop();
+      return next.length > 0 && next[next.length - 1].role === 'user' ? next : null;
+    });
+  });
+
+  ipcMain.handle('chat:cancel', async (_event, { requestId } = {}) => {
+    const active = chatStreams.get(requestId);
+    if (!active) return { success: false };
+    active.cancel();
+    return { success: true };
+  });
+
+  ipcMain.handle('chat:get-history', async (_event, { state } = {}) => {
+    return { messages: await loadChatThread(state) };
+  });
+
+  ipcMain.handle('chat:clear-history', async (_event, { state } = {}) => {
+    await saveChatThread(state, []);
+    return { success: true };
+  });
   
+  ipcMain.handle('chat:context-status', async (_event, { state } = {}) => {
+    return describeChatContext(state);
+  });
+
   ipcMain.handle('chat:update-context', async (_event, state) => {
     if (!state || typeof state !== 'string') {
       throw new Error('Invalid state.');
@@ -275,138 +723,134 @@ function registerIpcHandlers() {
       if (!settings.notesFilePath) {
         return { success: false, reason: 'NO_NOTES_PATH' };
       }
-      
-      // Create or update context file
-      const contextDir = path.join(app.getPath('userData'), 'contexts');
-      await fs.promises.mkdir(contextDir, { recursive: true });
-      
-      const contextFile = path.join(contextDir, `${state}-context.md`);
-      
-      // Extract relevant bullets from notes
-      await ensureNotesFile(settings.notesFilePath);
-      const markdown = await fs.promises.readFile(settings.notesFilePath, 'utf8');
-      const { notes } = parseNotes(markdown);
-      
-      let contextContent = '';
-      
-      if (state === 'notes') {
-        // For general notes view, include all bullets
-        contextContent = `# General Daily Notes Context\n\n`;
-        contextContent += `This context includes all daily note entries.\n\n`;
-        
-        const entries = Object.entries(notes).sort(([a], [b]) => {
-          const aTime = Date.parse(a);
-          const bTime = Date.parse(b);
-          if (!Number.isNaN(aTime) && !Number.isNaN(bTime)) {
-            return bTime - aTime; // Most recent first
-          }
-          return b.localeCompare(a);
-        });
-        
-        for (const [dateKey, content] of entries) {
-          if (content.trim()) {
-            contextContent += `## ${dateKey}\n\n${content}\n\n`;
-          }
-        }
-      } else {
-        // For specific state, filter bullets by state code
-        const states = await loadAllStates();
-        const stateInfo = states.find(s => s.code === state);
-        
-        if (!stateInfo) {
-          return { success: false, reason: 'INVALID_STATE' };
-        }
-        
-        contextContent = `# ${stateInfo.title} Context\n\n`;
-        contextContent += `This context includes only ${stateInfo.title.toLowerCase()}-related entries.\n`;
-        contextContent += `Description: ${stateInfo.description}\n\n`;
-        
-        const entries = Object.entries(notes).sort(([a], [b]) => {
-          const aTime = Date.parse(a);
-          const bTime = Date.parse(b);
-          if (!Number.isNaN(aTime) && !Number.isNaN(bTime)) {
-            return bTime - aTime; // Most recent first
-          }
-          return b.localeCompare(a);
-        });
-        
-        for (const [dateKey, content] of entries) {
-          if (!content.trim()) continue;
-          
-          // Extract bullets with this state's marker
-          const lines = content.split('\n');
-          const stateBullets = lines.filter(line => {
-            const match = line.match(/\{([a-z0-9_-]{1,8})\}\s*$/i);
-            return match && match[1].toLowerCase() === state;
-          });
-          
-          if (stateBullets.length > 0) {
-            contextContent += `## ${dateKey}\n\n`;
-            contextContent += stateBullets.map(bullet => {
-              // Remove the state marker for cleaner context
-              return bullet.replace(/\s*\{[a-z0-9_-]{1,8}\}\s*$/i, '');
-            }).join('\n');
-            contextContent += '\n\n';
-          }
-        }
+      if (state !== 'notes' && !loadAllStates().some(s => s.code === state)) {
+        return { success: false, reason: 'INVALID_STATE' };
       }
       
-      // Write context file
-      await fs.promises.writeFile(contextFile, contextContent, 'utf8');
+      const startedAt = Date.now();
+      const { notes } = await readNotes(settings.notesFilePath);
+      const index = await buildChatIndex(state, notes, startedAt);
       
-      return { success: true, contextFile };
+      return { success: true, contextFile: getChatIndexPath(state), days: index.docs.length };
     } catch (error) {
       console.error('Context update error:', error);
       return { success: false, reason: 'ERROR', error: error.message };
     }
   });
   
+  ipcMain.handle('reviews:list', async () => {
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { reviews: [] };
+    const { reviews } = await readNotes(settings.notesFilePath);
+    return { reviews: describeReviews(reviews) };
+  });
+  ipcMain.handle('reviews:generate', async (_event, { periodKey } = {}) => {
+    if (!reviewPeriodRange(periodKey)) return { success: false, reason: 'INVALID_PERIOD' };
+    if (!loadSettings().notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const provider = resolveProvider('review');
+    const keyError = getProviderKeyError(provider);
+    if (keyError) return { success: false, reason: keyError };
+    try {
+      return await generateReview(periodKey, provider);
+    } catch (error) {
+      console.error('Review error:', error);
+      return { success: false, reason: 'ERROR', error: error.message };
+    }
+  });
+  ipcMain.handle('reviews:delete', async (_event, { periodKey } = {}) => {
+    if (!reviewPeriodRange(periodKey)) return { success: false, reason: 'INVALID_PERIOD' };
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+    const changed = await updateNotesFile(settings.notesFilePath, () => ({ [reviewHeading(periodKey)]: null }));
+    if (changed.length > 0) broadcastNotesUpdated(null, { dateKeys: [], reviews: [periodKey] });
+    return { success: true };
+  });
+
   // Analysis endpoints
   ipcMain.handle('notes:analyze-day', async (_event, { dateKey, force } = {}) => {
     if (!dateKey || typeof dateKey !== 'string') throw new Error('Invalid date key.');
     const settings = loadSettings();
     if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
-    const apiKey = getOpenAIKey();
-    if (!apiKey) return { success: false, reason: 'NO_OPENAI_KEY' };
-    await ensureNotesFile(settings.notesFilePath);
-    const markdown = await fs.promises.readFile(settings.notesFilePath, 'utf8');
-    const { header, notes } = parseNotes(markdown);
+    const { classifier, provider, error } = prepareClassification();
+    if (error) return { success: false, reason: error };
+    const { notes } = await readNotes(settings.notesFilePath);
     const dayContent = (notes[dateKey] || '').trim();
     if (!dayContent) return { success: false, reason: 'EMPTY' };
     if (!force && allLinesHaveMarkers(dayContent)) return { success: true, skipped: true };
-    const { text, bullets } = extractBulletBase(dayContent);
-    if (bullets.length === 0) return { success: false, reason: 'NO_BULLETS' };
-    const codes = await classifyBulletsWithOpenAI(bullets, loadAllStates(), getOpenAIKey());
-    if (!codes || codes.length !== bullets.length) return { success: false, reason: 'CLASSIFY_FAILED' };
-    notes[dateKey] = applyMarkersToBullets(text, codes);
-    const newDoc = buildNotesDocument(header, notes);
-    await fs.promises.writeFile(settings.notesFilePath, newDoc, 'utf8');
+    if (extractBulletBase(dayContent).bullets.length === 0) return { success: false, reason: 'NO_BULLETS' };
+    const next = await classifyDayContent(dayContent, loadActiveStates(), provider, classifier);
+    if (next === null) return { success: false, reason: 'CLASSIFY_FAILED' };
+    // The day may have been saved again while the classifier ran; never overwrite newer text
+    let stale = false;
+    await updateNotesFile(settings.notesFilePath, (latest) => {
+      if ((latest[dateKey] || '').trim() !== dayContent) { stale = true; return null; }
+      return { [dateKey]: next };
+    }, { source: 'analysis' });
+    if (stale) return { success: false, reason: 'CHANGED' };
     broadcastNotesUpdated(dateKey);
     return { success: true };
   });
+  // Analyze-all runs as a background job: the invoke resolves as soon as the job starts, progress
+  // arrives as analysis:progress events and the last one (done: true) carries the failure report
   ipcMain.handle('notes:analyze-all', async (_event, { force } = {}) => {
+    if (analysisJob) return { success: false, reason: 'BUSY', job: describeAnalysisJob(analysisJob) };
     const settings = loadSettings();
     if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
-    const apiKey = getOpenAIKey();
-    if (!apiKey) return { success: false, reason: 'NO_OPENAI_KEY' };
-    await ensureNotesFile(settings.notesFilePath);
-    const markdown = await fs.promises.readFile(settings.notesFilePath, 'utf8');
-    const { header, notes } = parseNotes(markdown);
-    const keys = Object.keys(notes);
-    let updated = 0;
-    for (const k of keys) {
-      const content = (notes[k] || '').trim();
-      if (!content) continue;
-      if (!force && allLinesHaveMarkers(content)) continue;
-      const { text, bullets } = extractBulletBase(content);
-      if (bullets.length === 0) continue;
-      try {
-        const codes = await classifyBulletsWithOpenAI(bullets, loadAllStates(), getOpenAIKey());
-        if (codes && codes.length === bullets.length) { notes[k] = applyMarkersToBullets(text, codes); updated += 1; }
-      } catch (_) {}
-    }
-    if (updated > 0) { const newDoc = buildNotesDocument(header, notes); await fs.promises.writeFile(settings.notesFilePath, newDoc, 'utf8'); broadcastNotesUpdated(null); }
-    return { success: true, updated };
+    const { classifier, provider, error } = prepareClassification();
+    if (error) return { success: false, reason: error };
+    const { notes } = await readNotes(settings.notesFilePath);
+    const dateKeys = Object.keys(notes)
+      .filter((k) => {
+        const content = (notes[k] || '').trim();
+        return content && (force || !allLinesHaveMarkers(content)) && extractBulletBase(content).bullets.length > 0;
+      })
+      .sort(sortDateKeysDesc);
+    const job = startAnalysisJob(settings.notesFilePath, dateKeys, { classifier, provider });
+    return { success: true, job: describeAnalysisJob(job) };
+  });
+  ipcMain.handle('notes:analyze-cancel', async () => {
+    if (!analysisJob) return { success: false, reason: 'NOT_RUNNING' };
+    analysisJob.cancelled = true;
+    return { success: true };
+  });
+  ipcMain.handle('notes:analyze-status', async () => ({
+    job: analysisJob ? describeAnalysisJob(analysisJob) : null,
+    report: lastAnalysisReport,
+  }));
+
+  // Encrypted notebooks
+  ipcMain.handle('vault:status', async () => describeVault());
+  ipcMain.handle('vault:unlock', async (_event, { passphrase } = {}) => {
+    if (typeof passphrase !== 'string' || !passphrase) return { success: false, reason: 'WRONG_PASSPHRASE' };
+    return unlockVault(passphrase);
+  });
+  ipcMain.handle('vault:lock', async () => ({ success: lockVault('manual') }));
+  ipcMain.handle('vault:enable', async (_event, { passphrase } = {}) => {
+    if (!loadSettings().notesFilePath) return { success: false, reason: 'NO_PATH' };
+    if (typeof passphrase !== 'string' || passphrase.length < VAULT_MIN_PASSPHRASE) return { success: false, reason: 'WEAK_PASSPHRASE' };
+    const result = await enableVault(passphrase);
+    if (result.success) await broadcastVaultChanged();
+    return { ...result, status: await describeVault() };
+  });
+  ipcMain.handle('vault:disable', async (_event, { passphrase } = {}) => {
+    if (typeof passphrase !== 'string' || !passphrase) return { success: false, reason: 'WRONG_PASSPHRASE' };
+    const result = await disableVault(passphrase);
+    if (result.success) await broadcastVaultChanged();
+    return { ...result, status: await describeVault() };
+  });
+  ipcMain.handle('vault:set-auto-lock', async (_event, { minutes } = {}) => {
+    const value = Number(minutes);
+    if (!Number.isFinite(value) || value < 0 || value > 24 * 60) return { success: false, reason: 'INVALID_MINUTES' };
+    const settings = loadSettings();
+    settings.autoLockMinutes = Math.round(value);
+    saveSettings(settings);
+    scheduleAutoLock();
+    return { success: true, status: await describeVault() };
+  });
+  // The renderer reports input (throttled) so the idle timer only runs while nobody is using the app
+  ipcMain.handle('vault:activity', async () => {
+    if (vaultKey || vaultSecrets) touchVault();
+    return true;
   });
 }
 
@@ -444,22 +888,154 @@ function getSettingsFilePath() {
   return path.join(app.getPath('userData'), SETTINGS_FILE_NAME);
 }
 
+// Asks whether to open an existing notes file or create one; resolves to its path or null
+async function pickNotesFile(targetWindow) {
+  const defaultPath = path.join(app.getPath('documents'), 'oyvai-daily-notes.md');
+
+  const choice = await dialog.showMessageBox(targetWindow, {
+    type: 'question',
+    buttons: ['Select existing file', 'Create new file', 'Cancel'],
+    defaultId: 0,
+    cancelId: 2,
+    message: 'Use an existing notes file or create a new one?',
+    detail: 'Existing: pick a Markdown file you already have. New: create a fresh oyvai-daily-notes.md file.',
+  });
+
+  if (choice.response === 2) return null;
+
+  if (choice.response === 0) {
+    const { canceled, filePaths } = await dialog.showOpenDialog(targetWindow, {
+      title: 'Select existing notes file',
+      properties: ['openFile', 'dontAddToRecent'],
+      filters: [
+        { name: 'Markdown', extensions: ['md', 'markdown', 'txt'] },
+        { name: 'All Files', extensions: ['*'] },
+      ],
+    });
+    if (canceled || !filePaths || filePaths.length === 0) return null;
+    return filePaths[0];
+  }
+  const { canceled, filePath } = await dialog.showSaveDialog(targetWindow, {
+    title: 'Create daily notes file',
+    defaultPath,
+    filters: [
+      { name: 'Markdown', extensions: ['md', 'markdown', 'txt'] },
+      { name: 'All Files', extensions: ['*'] },
+    ],
+  });
+  if (canceled || !filePath) return null;
+  return filePath;
+}
+
+// ----- Notebooks -----
+// settings.notebooks registers every notes file with its own customStates and stateOverrides.
+// The active notebook's values stay at the top level of settings, where the rest of main.js
+// reads them, and are moved back into its entry when switching away.
+const NOTEBOOK_FIELDS = ['notesFilePath', 'customStates', 'stateOverrides'];
+function notebookTitleFromPath(filePath) {
+  return path.basename(String(filePath || ''), path.extname(String(filePath || ''))) || 'Notebook';
+}
+function loadNotebooks() {
+  const settings = loadSettings();
+  if (!Array.isArray(settings.notebooks)) settings.notebooks = [];
+  if (settings.notebooks.length === 0 && settings.notesFilePath) {
+    settings.notebooks.push({ id: 'default', title: notebookTitleFromPath(settings.notesFilePath) });
+    settings.activeNotebookId = 'default';
+  }
+  return settings.notebooks;
+}
+function notebookFilePath(notebook) {
+  const settings = loadSettings();
+  return notebook.id === settings.activeNotebookId ? settings.notesFilePath : notebook.notesFilePath;
+}
+function describeNotebooks() {
+  const settings = loadSettings();
+  const notebooks = loadNotebooks().map((nb) => {
+    const active = nb.id === settings.activeNotebookId;
+    const customStates = active ? settings.customStates : nb.customStates;
+    return { id: nb.id, title: nb.title, filePath: notebookFilePath(nb) || null, active, customStates: (customStates || []).length };
+  });
+  return { activeId: settings.activeNotebookId || null, notebooks };
+}
+async function activateNotebook(id) {
+  const settings = loadSettings();
+  const notebooks = loadNotebooks();
+  const target = notebooks.find((nb) => nb.id === id);
+  if (!target) return false;
+  if (settings.activeNotebookId !== id) {
+    const current = notebooks.find((nb) => nb.id === settings.activeNotebookId);
+    if (current) {
+      for (const field of NOTEBOOK_FIELDS) current[field] = settings[field];
+    }
+    settings.activeNotebookId = id;
+    settings.notesFilePath = target.notesFilePath || '';
+    settings.customStates = Array.isArray(target.customStates) ? target.customStates : [];
+    settings.stateOverrides = target.stateOverrides || {};
+    for (const field of NOTEBOOK_FIELDS) delete target[field];
+  }
+  saveSettings(settings);
+  if (settings.notesFilePath) await ensureNotesFile(settings.notesFilePath);
+  watchNotesFile(settings.notesFilePath);
+  broadcastNotesPathChanged(settings.notesFilePath);
+  broadcastStatesUpdated();
+  return true;
+}
+// A file that is already a notebook switches to it, and a removed notebook's file brings that
+// notebook back under its old id; any other file becomes a new notebook. With no notebook active
+// yet (states set up before any file was chosen) the new one takes over the top-level states
+// instead of starting empty, and is the 'default' notebook when it is the first.
+async function openNotesFile(filePath, title) {
+  const settings = loadSettings();
+  const notebooks = loadNotebooks();
+  const existing = notebooks.find((nb) => notebookFilePath(nb) === filePath);
+  if (existing) {
+    await activateNotebook(existing.id);
+    return { id: existing.id, existing: true };
+  }
+  const removed = (settings.removedNotebooks || []).find((nb) => nb.notesFilePath === filePath);
+  if (removed && !notebooks.some((nb) => nb.id === removed.id)) {
+    settings.removedNotebooks = settings.removedNotebooks.filter((nb) => nb !== removed);
+    notebooks.push({ ...removed, title: String(title || '').trim() || removed.title });
+    await activateNotebook(removed.id);
+    return { id: removed.id, existing: false };
+  }
+  const first = !notebooks.some((nb) => nb.id === settings.activeNotebookId);
+  const id = first && !notebooks.some((nb) => nb.id === 'default') ? 'default' : `nb-${Date.now().toString(36)}`;
+  notebooks.push({
+    id,
+    title: String(title || '').trim() || notebookTitleFromPath(filePath),
+    notesFilePath: filePath,
+    customStates: first && Array.isArray(settings.customStates) ? settings.customStates : [],
+    stateOverrides: first ? settings.stateOverrides || {} : {},
+  });
+  await ensureNotesFile(filePath);
+  await activateNotebook(id);
+  return { id, existing: false };
+}
+// Chat threads and context indexes are kept per notebook; the first one keeps the original folders
+function getNotebookDataDir(kind) {
+  const id = loadSettings().activeNotebookId;
+  const base = path.join(app.getPath('userData'), kind);
+  return !id || id === 'default' ? base : path.join(base, id);
+}
+
 async function ensureNotesFile(filePath) {
   await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
   try {
     const stats = await fs.promises.stat(filePath);
     if (stats.size === 0) {
-      await fs.promises.writeFile(filePath, `${NOTES_HEADER}\n\n`, 'utf8');
+      await writeFileAtomic(filePath, `${NOTES_HEADER}\n\n`);
       return;
     }
+    if (await isNotesFileSealed(filePath)) return;
     const contents = await fs.promises.readFile(filePath, 'utf8');
     if (!contents.trim().startsWith('#')) {
       const newline = contents.trim().length ? `\n\n${contents}` : '';
-      await fs.promises.writeFile(filePath, `${NOTES_HEADER}${newline}\n`, 'utf8');
+      await writeFileAtomic(filePath, `${NOTES_HEADER}${newline}\n`);
     }
   } catch (error) {
     if (error.code === 'ENOENT') {
-      await fs.promises.writeFile(filePath, `${NOTES_HEADER}\n\n`, 'utf8');
+      await writeFileAtomic(filePath, `${NOTES_HEADER}\n\n`);
     } else {
       throw error;
     }
@@ -467,67 +1043,145 @@ async function ensureNotesFile(filePath) {
 }
 
 function broadcastNotesPathChanged(filePath) {
+  // Another notebook is never opened with the previous one's key
+  if (vaultKey && vaultKey.filePath !== filePath) {
+    vaultKey = null;
+    notesIndexCache = null;
+    chatIndexCache.clear();
+  }
+  invalidateChatContexts();
+  // The running batch belongs to the previous file
+  if (analysisJob) analysisJob.cancelled = true;
   for (const window of BrowserWindow.getAllWindows()) {
-    window.webContents.send('notes:path-changed', { filePath });
+    window.webContents.send('notes:path-changed', { filePath, notebookId: loadSettings().activeNotebookId || null });
   }
 }
 
 function broadcastStatesUpdated() {
+  invalidateChatContexts();
   const payload = { states: loadAllStates() };
   for (const window of BrowserWindow.getAllWindows()) {
     window.webContents.send('states:updated', payload);
   }
 }
 
-function parseNotes(markdown) {
-  const normalized = markdown.replace(/\r\n/g, '\n');
-  const lines = normalized.split('\n');
-
-  const headerLines = [];
-  const notes = {};
-
-  let index = 0;
-  while (index < lines.length && !lines[index].startsWith('## ')) {
-    headerLines.push(lines[index]);
-    index += 1;
+// ----- Daily metrics -----
+// States can define numeric fields (mood 1-5, hours slept, money spent) that are filled in once per
+// day. A day's values sit on the first line of its section, "Metrics: mood=4, sleep=7.5", above the
+// bullets. Readers get the bullets and the values separately; writes keep the line unless they set it.
+const METRICS_LINE_RE = /^Metrics:(.*)$/;
+const METRIC_ID_RE = /^[a-z][a-z0-9_]{0,23}$/;
+const METRIC_KINDS = ['scale', 'number'];
+// Pairs that do not parse as id=number are kept as written in extra, so a write puts them back
+function splitDayMetrics(content) {
+  const text = String(content || '');
+  const newline = text.indexOf('\n');
+  const match = (newline === -1 ? text : text.slice(0, newline)).match(METRICS_LINE_RE);
+  if (!match) return { text, metrics: null, extra: [] };
+  const metrics = {};
+  const extra = [];
+  for (const pair of match[1].split(',')) {
+    const m = pair.trim().match(/^([a-z][a-z0-9_]{0,23})\s*=\s*(-?\d+(?:\.\d+)?)$/);
+    if (m) metrics[m[1]] = Number(m[2]);
+    else if (pair.trim()) extra.push(pair.trim());
   }
-
-  let currentDate = null;
-  let buffer = [];
-
-  while (index < lines.length) {
-    const line = lines[index];
-    if (line.startsWith('## ')) {
-      if (currentDate) {
-        notes[currentDate] = buffer.join('\n').trim();
-      }
-      currentDate = line.slice(3).trim();
-      buffer = [];
-    } else {
-      buffer.push(line);
+  // A line that only looks like metrics stays in the body rather than being dropped on the next save
+  if (Object.keys(metrics).length === 0) return { text, metrics: null, extra: [] };
+  return { text: newline === -1 ? '' : text.slice(newline + 1).trim(), metrics, extra };
+}
+// A value that is not a finite number (null included) leaves its metric off the line, which is how
+// a day's value is cleared
+function formatMetricsLine(metrics, extra = []) {
+  const pairs = Object.entries(metrics || {})
+    .filter(([id, value]) => METRIC_ID_RE.test(id) && Number.isFinite(value))
+    .map(([id, value]) => `${id}=${value}`);
+  // An unparsed pair goes once its id is given a value
+  const kept = extra.filter((pair) => !Object.prototype.hasOwnProperty.call(metrics || {}, pair.split('=')[0].trim()));
+  return pairs.length || kept.length ? `Metrics: ${[...pairs, ...kept].join(', ')}` : '';
+}
+// Replaces whatever metrics line text carries with one for metrics, plus the unparsed pairs of extra
+function joinDayMetrics(text, metrics, extra = []) {
+  const line = formatMetricsLine(metrics, extra);
+  const body = splitDayMetrics(text).text.trim();
+  return line && body ? `${line}\n\n${body}` : line || body;
+}
+// Definitions are kept on their state; ids are unique across states since a day has one line.
+// Returns null when any definition is malformed.
+function normalizeStateMetrics(metrics) {
+  if (!Array.isArray(metrics) || metrics.length > 8) return null;
+  const out = [];
+  for (const raw of metrics) {
+    const label = String(raw?.label || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+    const id = String(raw?.id || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 24);
+    const kind = METRIC_KINDS.includes(raw?.kind) ? raw.kind : null;
+    if (!label || !METRIC_ID_RE.test(id) || !kind || out.some((m) => m.id === id)) return null;
+    const bound = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+    let min = bound(raw.min);
+    let max = bound(raw.max);
+    if (kind === 'scale') {
+      min = min ?? 1;
+      max = max ?? 5;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || max <= min || max - min > 10) return null;
+    } else if ([min, max].some((v) => v !== null && !Number.isFinite(v)) || (min !== null && max !== null && max <= min)) {
+      return null;
     }
-    index += 1;
+    out.push({ id, label, kind, min, max, unit: kind === 'number' ? String(raw.unit || '').trim().slice(0, 12) : '' });
   }
-
-  if (currentDate) {
-    notes[currentDate] = buffer.join('\n').trim();
+  return out;
+}
+// Whether another state than code already uses one of the ids
+function metricIdTaken(metrics, code) {
+  const taken = new Set(loadAllStates().filter((s) => s.code !== code).flatMap((s) => (s.metrics || []).map((m) => m.id)));
+  return metrics.some((m) => taken.has(m.id));
+}
+function findStateMetric(id) {
+  for (const state of loadAllStates()) {
+    const metric = (state.metrics || []).find((m) => m.id === id);
+    if (metric) return { ...metric, state: state.code };
   }
-
-  const headerText = headerLines.join('\n').trim();
-  return { header: headerText || NOTES_HEADER, notes };
+  return null;
+}
+// The value to store for a metric, or undefined when it is out of range (null clears the day's value)
+function coerceMetricValue(metric, value) {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return undefined;
+  if (metric.min !== null && number < metric.min) return undefined;
+  if (metric.max !== null && number > metric.max) return undefined;
+  if (metric.kind === 'scale') return Number.isInteger(number) ? number : undefined;
+  return Math.round(number * 100) / 100;
+}
+// One point per calendar day over the same window as the state's frequency grid
+function buildMetricHistory(metricsByDay, definitions, { days = 84 } = {}) {
+  const today = parseDateKey(todayDateKey());
+  return (definitions || []).map((metric) => {
+    const points = [];
+    for (let i = days - 1; i >= 0; i -= 1) {
+      const dateKey = formatDateKey(today - i * DAY_MS);
+      const value = metricsByDay[dateKey]?.[metric.id];
+      points.push({ dateKey, value: Number.isFinite(value) ? value : null });
+    }
+    const values = points.map((p) => p.value).filter((v) => v !== null);
+    const latest = Object.keys(metricsByDay)
+      .filter((dateKey) => Number.isFinite(metricsByDay[dateKey][metric.id]))
+      .sort(sortDateKeysDesc)[0];
+    return {
+      ...metric,
+      points,
+      count: values.length,
+      average: values.length ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100 : null,
+      latest: latest ? { dateKey: latest, value: metricsByDay[latest][metric.id] } : null,
+    };
+  });
 }
 
-function buildNotesDocument(header, notesMap) {
+function buildNotesDocument(header, notesMap, reviews = {}) {
   const normalizedHeader = header && header.trim().length ? header.trim() : NOTES_HEADER;
 
-  const entries = Object.entries(notesMap).sort(([a], [b]) => {
-    const aTime = Date.parse(a);
-    const bTime = Date.parse(b);
-    if (!Number.isNaN(aTime) && !Number.isNaN(bTime)) {
-      return aTime - bTime;
-    }
-    return a.localeCompare(b);
-  });
+  const entries = [
+    ...Object.entries(notesMap),
+    ...Object.entries(reviews).map(([periodKey, content]) => [reviewHeading(periodKey), content]),
+  ].sort(([a], [b]) => compareDateKeys(a, b));
 
   const sections = entries
     .map(([dateKey, content]) => {
@@ -546,26 +1200,868 @@ function buildNotesDocument(header, notesMap) {
   return `${normalizedHeader}\n\n${body}\n`;
 }
 
+// Sub-bullets are indented by BULLET_INDENT per level; a tab counts as one level. A line may sit at
+// most one level below the line above it, so stray indentation cannot orphan a bullet.
+const BULLET_INDENT = '  ';
+function bulletDepth(line) {
+  const lead = String(line || '').match(/^[ \t]*/)[0];
+  return lead.split('\t').reduce((depth, spaces, i) => depth + (i > 0 ? 1 : 0) + Math.floor(spaces.length / BULLET_INDENT.length), 0);
+}
 function normalizeBullets(content) {
   const lines = content.replace(/\r\n/g, '\n').split('\n');
+  let previousDepth = -1;
   const formatted = lines
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0)
-    .map((line) => {
+    .filter((line) => line.trim().length > 0)
+    .map((raw) => {
+      const depth = Math.min(bulletDepth(raw), previousDepth + 1);
+      previousDepth = depth;
+      const indent = BULLET_INDENT.repeat(depth);
+      const line = raw.trim();
+      const task = parseTaskLine(line);
+      if (task) {
+        return `${indent}${formatTaskLine(task.state, task.text)}`;
+      }
       if (line.startsWith('- ')) {
-        return line;
+        return `${indent}${line}`;
       }
-      return `- ${line.replace(/^-\s*/, '')}`;
+      return `${indent}- ${line.replace(/^-\s*/, '')}`;
     });
   return formatted.join('\n');
 }
 
-// ----- States and classification helpers -----
+// ----- Notes storage: in-memory section index, atomic writes, serialized updates -----
+// The notes file is read once into a buffer and indexed by "## dateKey" sections with byte
+// offsets. Reads are served from the index until the file's mtime/size changes on disk.
+// Updates run one at a time through notesWriteQueue, splice only the touched sections into
+// the buffer (other sections stay byte-identical) and replace the file via temp-file + rename.
+function indexNotesBuffer(buffer) {
+  const sections = [];
+  let headerEnd = buffer.length;
+  let current = null;
+  let pos = 0;
+  while (pos < buffer.length) {
+    const newline = buffer.indexOf(0x0a, pos);
+    const lineEnd = newline === -1 ? buffer.length : newline + 1;
+    if (buffer[pos] === 0x23 && buffer[pos + 1] === 0x23 && buffer[pos + 2] === 0x20) {
+      if (current) current.end = pos; else headerEnd = pos;
+      current = {
+        dateKey: buffer.toString('utf8', pos + 3, lineEnd).trim(),
+        start: pos,
+        bodyStart: lineEnd,
+        end: buffer.length,
+      };
+      sections.push(current);
+    }
+    pos = lineEnd;
+  }
+  for (const section of sections) {
+    section.content = buffer.toString('utf8', section.bodyStart, section.end).replace(/\r\n/g, '\n').trim();
+  }
+  const header = buffer.toString('utf8', 0, headerEnd).replace(/\r\n/g, '\n').trim();
+  return {
+    header: header || NOTES_HEADER,
+    headerEnd,
+    sections,
+    eol: buffer.includes('\r\n') ? '\r\n' : '\n',
+  };
+}
+
+// Section bodies by date heading; later sections win when a date heading is repeated
+function notesFromIndex(index) {
+  const notes = {};
+  for (const section of index.sections) {
+    if (!parseReviewHeading(section.dateKey)) notes[section.dateKey] = splitDayMetrics(section.content).text;
+  }
+  return notes;
+}
+
+function metricsFromIndex(index) {
+  const metrics = {};
+  for (const section of index.sections) {
+    if (parseReviewHeading(section.dateKey)) continue;
+    const day = splitDayMetrics(section.content).metrics;
+    if (day) metrics[section.dateKey] = day; else delete metrics[section.dateKey];
+  }
+  return metrics;
+}
+
+function reviewsFromIndex(index) {
+  const reviews = {};
+  for (const section of index.sections) {
+    const periodKey = parseReviewHeading(section.dateKey);
+    if (periodKey) reviews[periodKey] = section.content;
+  }
+  return reviews;
+}
+
+// Every section by its heading text, reviews included
+function sectionsFromIndex(index) {
+  const sections = {};
+  for (const section of index.sections) sections[section.dateKey] = section.content;
+  return sections;
+}
+
+// Reviews sort right after the last day of their period, a week's before a month's
+function sectionSortKey(heading) {
+  const periodKey = parseReviewHeading(heading);
+  const range = periodKey ? reviewPeriodRange(periodKey) : null;
+  if (!range) return { date: heading, rank: 0 };
+  return { date: range.to, rank: range.period === 'week' ? 1 : 2 };
+}
+
+function compareDateKeys(a, b) {
+  const aKey = sectionSortKey(a);
+  const bKey = sectionSortKey(b);
+  const aTime = Date.parse(aKey.date);
+  const bTime = Date.parse(bKey.date);
+  if (!Number.isNaN(aTime) && !Number.isNaN(bTime)) return aTime - bTime || aKey.rank - bKey.rank;
+  return a.localeCompare(b);
+}
+
+// Applies { dateKey: content | null } to an indexed buffer in one pass and returns the new
+// buffer with its index (offsets shifted, untouched sections reused). New days are inserted
+// before the first section that sorts after them; empty content removes the section.
+function spliceNoteSections(buffer, index, updates) {
+  const eol = index.eol;
+  const pending = new Map(Object.entries(updates));
+  const seen = new Set();
+  for (const section of index.sections) {
+    if (seen.has(section.dateKey) && pending.has(section.dateKey)) {
+      // Repeated headings for an updated day: fall back to a normalized rebuild
+      const all = sectionsFromIndex(index);
+      for (const [dateKey, content] of pending) {
+        if (content && content.trim()) all[dateKey] = content.trim(); else delete all[dateKey];
+      }
+      const notes = {};
+      const reviews = {};
+      for (const [heading, content] of Object.entries(all)) {
+        const periodKey = parseReviewHeading(heading);
+        if (periodKey) reviews[periodKey] = content; else notes[heading] = content;
+      }
+      const rebuilt = Buffer.from(buildNotesDocument(index.header, notes, reviews).replace(/\n/g, eol), 'utf8');
+      return { buffer: rebuilt, index: indexNotesBuffer(rebuilt) };
+    }
+    seen.add(section.dateKey);
+  }
+
+  const inserts = new Map();
+  for (const [dateKey, content] of pending) {
+    if (seen.has(dateKey) || !content || !content.trim()) continue;
+    const at = index.sections.findIndex((s) => compareDateKeys(s.dateKey, dateKey) > 0);
+    const slot = at === -1 ? index.sections.length : at;
+    if (!inserts.has(slot)) inserts.set(slot, []);
+    inserts.get(slot).push(dateKey);
+  }
+
+  const parts = [];
+  const nextSections = [];
+  let length = 0;
+  let tail = '';
+  const push = (chunk) => {
+    if (!chunk.length) return;
+    parts.push(chunk);
+    length += chunk.length;
+    tail = (tail + chunk.toString('utf8', Math.max(0, chunk.length - 4))).slice(-4);
+  };
+  const ensureBlankLine = () => {
+    if (tail === '' || tail.endsWith('\n\n') || tail.endsWith('\r\n\r\n')) return;
+    push(Buffer.from(tail.endsWith('\n') ? eol : eol + eol, 'utf8'));
+  };
+  const renderSection = (dateKey, content) => {
+    ensureBlankLine();
+    const heading = Buffer.from(`## ${dateKey}${eol}`, 'utf8');
+    nextSections.push({ dateKey, start: length, bodyStart: length + heading.length, content: content.trim() });
+    push(heading);
+    push(Buffer.from(`${eol}${content.trim().replace(/\n/g, eol)}${eol}`, 'utf8'));
+  };
+
+  push(buffer.subarray(0, index.headerEnd));
+  for (let i = 0; i <= index.sections.length; i += 1) {
+    for (const dateKey of (inserts.get(i) || []).sort(compareDateKeys)) {
+      renderSection(dateKey, pending.get(dateKey));
+    }
+    const section = index.sections[i];
+    if (!section) break;
+    if (!pending.has(section.dateKey)) {
+      ensureBlankLine();
+      nextSections.push({ dateKey: section.dateKey, start: length, bodyStart: length + (section.bodyStart - section.start), content: section.content });
+      push(buffer.subarray(section.start, section.end));
+      continue;
+    }
+    const content = pending.get(section.dateKey);
+    if (content && content.trim()) renderSection(section.dateKey, content);
+  }
+
+  let out = Buffer.concat(parts);
+  // Removing the last section can leave the previous one's separator dangling at EOF
+  const trailing = out.toString('utf8', Math.max(0, out.length - 8)).match(/(\r?\n)+$/);
+  if (trailing && trailing[0] !== eol) {
+    out = Buffer.concat([out.subarray(0, out.length - Buffer.byteLength(trailing[0])), Buffer.from(eol, 'utf8')]);
+  }
+  nextSections.forEach((section, i) => {
+    section.end = i + 1 < nextSections.length ? nextSections[i + 1].start : out.length;
+  });
+  return {
+    buffer: out,
+    index: {
+      header: index.header,
+      headerEnd: nextSections.length ? nextSections[0].start : out.length,
+      sections: nextSections,
+      eol,
+    },
+  };
+}
+
+// ensure: false skips ensureNotesFile so a half-written external file is never "repaired"
+async function loadNotesIndex(filePath, { ensure = true } = {}) {
+  const cached = notesIndexCache;
+  if (cached && cached.filePath === filePath) {
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (stats.mtimeMs === cached.mtimeMs && stats.size === cached.size) return cached;
+    } catch (_) {}
+  }
+  if (ensure) await ensureNotesFile(filePath);
+  const buffer = await readNotesBuffer(filePath);
+  const stats = await fs.promises.stat(filePath);
+  notesIndexCache = { filePath, buffer, index: indexNotesBuffer(buffer), mtimeMs: stats.mtimeMs, size: stats.size };
+  return notesIndexCache;
+}
+
+async function readNotes(filePath) {
+  const { index } = await loadNotesIndex(filePath);
+  return { header: index.header, notes: notesFromIndex(index), reviews: reviewsFromIndex(index), metrics: metricsFromIndex(index) };
+}
+
+async function writeFileAtomic(filePath, data) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  let handle = null;
+  try {
+    handle = await fs.promises.open(tempPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+function enqueueNotesWrite(task) {
+  const run = notesWriteQueue.then(task, task);
+  notesWriteQueue = run.catch(() => {});
+  return run;
+}
+
+// Serialized read-modify-write. computeUpdates(notes, header, reviews, metrics) returns
+// { dateKey: content | null } (reviews are addressed by reviewHeading(periodKey)) or nothing to skip;
+// resolves to the list of keys whose content actually changed. A day keeps its metrics line unless
+// its update is { text, metrics } instead of a string (text defaults to the current bullets).
+// source labels the snapshots written to the day history, which only hold bullets.
+function updateNotesFile(filePath, computeUpdates, { source = 'edit' } = {}) {
+  return enqueueNotesWrite(async () => {
+    const store = await loadNotesIndex(filePath);
+    const notes = notesFromIndex(store.index);
+    const metrics = metricsFromIndex(store.index);
+    const sections = sectionsFromIndex(store.index);
+    const updates = await computeUpdates(notes, store.index.header, reviewsFromIndex(store.index), metrics);
+    const contents = {};
+    for (const [dateKey, update] of Object.entries(updates || {})) {
+      const { extra } = splitDayMetrics(sections[dateKey]);
+      if (parseReviewHeading(dateKey)) contents[dateKey] = update;
+      else if (update && typeof update === 'object') contents[dateKey] = joinDayMetrics(update.text ?? notes[dateKey], update.metrics, extra);
+      else contents[dateKey] = joinDayMetrics(update, metrics[dateKey], extra);
+    }
+    const changed = Object.entries(contents)
+      .filter(([dateKey, content]) => (sections[dateKey] || '') !== (content || '').trim())
+      .map(([dateKey]) => dateKey);
+    if (changed.length === 0) return [];
+    const effective = {};
+    const bullets = {};
+    for (const dateKey of changed) {
+      effective[dateKey] = contents[dateKey];
+      bullets[dateKey] = splitDayMetrics(contents[dateKey]).text;
+    }
+    const { buffer, index } = spliceNoteSections(store.buffer, store.index, effective);
+    await writeNotesBuffer(filePath, buffer);
+    const stats = await fs.promises.stat(filePath);
+    notesIndexCache = { filePath, buffer, index, mtimeMs: stats.mtimeMs, size: stats.size };
+    const edited = changed.filter((dateKey) => (notes[dateKey] || '').trim() !== bullets[dateKey].trim());
+    await recordNotesHistory(filePath, notes, bullets, edited, source);
+    return changed;
+  });
+}
+
+// ----- External edits -----
+// Watches the notes file's directory (atomic saves from editors, sync clients and our own
+// writeFileAtomic replace the inode, which a file-level watch would lose track of).
+function watchNotesFile(filePath) {
+  if (notesWatcher) {
+    notesWatcher.close();
+    notesWatcher = null;
+  }
+  if (!filePath) return;
+  const baseName = path.basename(filePath);
+  let timer = null;
+  try {
+    notesWatcher = fs.watch(path.dirname(filePath), { persistent: false }, (_eventType, fileName) => {
+      if (fileName && fileName.toString() !== baseName) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        reloadNotesFromDisk(filePath).catch((error) => console.error('Notes reload error:', error));
+      }, 250);
+    });
+    notesWatcher.on('error', (error) => console.error('Notes watcher error:', error));
+  } catch (error) {
+    console.error('Could not watch notes file:', error);
+    notesWatcher = null;
+  }
+}
+
+// Runs through the write queue so our own in-flight writes finish (and refresh the cache)
+// before we decide whether the file on disk changed underneath us.
+function reloadNotesFromDisk(filePath) {
+  return enqueueNotesWrite(async () => {
+    const cached = notesIndexCache && notesIndexCache.filePath === filePath ? notesIndexCache : null;
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (_) {
+      return; // moved away or mid-replace; the next event will pick it up
+    }
+    if (cached && stats.mtimeMs === cached.mtimeMs && stats.size === cached.size) return;
+    // A locked notebook is read again on unlock
+    if (!vaultFor(filePath) && await isNotesFileSealed(filePath)) return;
+    const previous = cached ? notesFromIndex(cached.index) : null;
+    const store = await loadNotesIndex(filePath, { ensure: false });
+    if (!previous) {
+      broadcastNotesUpdated(null, { external: true });
+      return;
+    }
+    const next = notesFromIndex(store.index);
+    const dateKeys = Array.from(new Set([...Object.keys(previous), ...Object.keys(next)]))
+      .filter((dateKey) => (previous[dateKey] || '') !== (next[dateKey] || ''));
+    await recordNotesHistory(filePath, previous, next, dateKeys, 'external');
+    // Days whose metrics line alone changed are refreshed too, but have no bullets to snapshot
+    const previousMetrics = metricsFromIndex(cached.index);
+    const nextMetrics = metricsFromIndex(store.index);
+    for (const dateKey of new Set([...Object.keys(previousMetrics), ...Object.keys(nextMetrics)])) {
+      if (!dateKeys.includes(dateKey) && formatMetricsLine(previousMetrics[dateKey]) !== formatMetricsLine(nextMetrics[dateKey])) dateKeys.push(dateKey);
+    }
+    const previousReviews = reviewsFromIndex(cached.index);
+    const nextReviews = reviewsFromIndex(store.index);
+    const reviews = Array.from(new Set([...Object.keys(previousReviews), ...Object.keys(nextReviews)]))
+      .filter((periodKey) => (previousReviews[periodKey] || '') !== (nextReviews[periodKey] || ''));
+    if (dateKeys.length > 0 || reviews.length > 0) broadcastNotesUpdated(null, { dateKeys, reviews, external: true });
+  });
+}
+
+// ----- Encrypted notebooks -----
+// An encrypted notebook replaces the Markdown file with a JSON envelope sealed with AES-256-GCM
+// under a scrypt key derived from the passphrase. The key only lives in memory while the notebook
+// is unlocked and is dropped after settings.autoLockMinutes without activity in the window.
+// Chat indexes and threads of that notebook are sealed with the same key, and API keys move into
+// settings.sealedSecrets, an envelope of its own sealed with the same passphrase.
+const VAULT_FORMAT = 'oyvai-encrypted';
+const VAULT_MAGIC = Buffer.from(`{"format":"${VAULT_FORMAT}"`);
+const VAULT_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+function isSealedBuffer(buffer) {
+  return buffer.length >= VAULT_MAGIC.length && buffer.subarray(0, VAULT_MAGIC.length).equals(VAULT_MAGIC);
+}
+async function isNotesFileSealed(filePath) {
+  if (!filePath) return false;
+  let handle = null;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const head = Buffer.alloc(VAULT_MAGIC.length);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+    return isSealedBuffer(head.subarray(0, bytesRead));
+  } catch (_) {
+    return false;
+  } finally {
+    if (handle) await handle.close().catch(() => {});
+  }
+}
+function deriveVaultKey(passphrase, salt, kdf = VAULT_KDF) {
+  return new Promise((resolve, reject) => {
+    const { N, r, p } = kdf;
+    crypto.scrypt(String(passphrase), salt, 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+// vault is { salt, kdf, key }; the salt and cost parameters travel with every envelope
+function sealBuffer(plain, vault) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', vault.key, iv);
+  const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.from(JSON.stringify({
+    format: VAULT_FORMAT,
+    version: 1,
+    kdf: { ...vault.kdf, salt: vault.salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  }));
+}
+// Cost parameters are bounded so a crafted file cannot make scrypt exhaust memory
+function parseSealedEnvelope(buffer) {
+  const envelope = JSON.parse(buffer.toString('utf8'));
+  const kdf = envelope.kdf || {};
+  const valid = envelope.format === VAULT_FORMAT && envelope.version === 1 && envelope.cipher === 'aes-256-gcm'
+    && kdf.name === 'scrypt' && Number.isInteger(kdf.N) && kdf.N >= 1024 && kdf.N <= 262144 && (kdf.N & (kdf.N - 1)) === 0
+    && Number.isInteger(kdf.r) && kdf.r >= 1 && kdf.r <= 16 && Number.isInteger(kdf.p) && kdf.p >= 1 && kdf.p <= 4
+    && typeof kdf.salt === 'string' && typeof envelope.iv === 'string' && typeof envelope.tag === 'string' && typeof envelope.data === 'string';
+  if (!valid) throw new Error('Unsupported encrypted file.');
+  return { ...envelope, kdf: { name: 'scrypt', N: kdf.N, r: kdf.r, p: kdf.p }, salt: Buffer.from(kdf.salt, 'base64') };
+}
+// Throws when the key is wrong or the envelope was modified (GCM authentication)
+function openSealed(envelope, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+}
+function vaultLockedError() {
+  const error = new Error('The notebook is locked.');
+  error.code = 'LOCKED';
+  return error;
+}
+// A key only ever applies to the notes file it was derived for
+function vaultFor(filePath) {
+  return vaultKey && vaultKey.filePath === filePath ? vaultKey : null;
+}
+async function readNotesBuffer(filePath) {
+  const raw = await fs.promises.readFile(filePath);
+  if (!isSealedBuffer(raw)) return raw;
+  const vault = vaultFor(filePath);
+  if (!vault) throw vaultLockedError();
+  const envelope = parseSealedEnvelope(raw);
+  if (!envelope.salt.equals(vault.salt)) {
+    // Re-encrypted elsewhere with another passphrase; the key we hold no longer opens it
+    lockVault('changed');
+    throw vaultLockedError();
+  }
+  return openSealed(envelope, vault.key);
+}
+// Never writes plaintext over a sealed file, even if the notebook was locked mid-update
+async function writeNotesBuffer(filePath, buffer) {
+  const vault = vaultFor(filePath);
+  if (!vault && await isNotesFileSealed(filePath)) throw vaultLockedError();
+  await writeFileAtomic(filePath, vault ? sealBuffer(buffer, vault) : buffer);
+}
+async function readNotebookFile(filePath) {
+  const raw = await fs.promises.readFile(filePath);
+  if (!isSealedBuffer(raw)) return raw.toString('utf8');
+  const vault = vaultFor(loadSettings().notesFilePath);
+  if (!vault) throw vaultLockedError();
+  return openSealed(parseSealedEnvelope(raw), vault.key).toString('utf8');
+}
+async function writeNotebookFile(filePath, text) {
+  const notesPath = loadSettings().notesFilePath;
+  const vault = vaultFor(notesPath);
+  if (!vault && await isNotesFileSealed(notesPath)) throw vaultLockedError();
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await writeFileAtomic(filePath, vault ? sealBuffer(Buffer.from(text, 'utf8'), vault) : text);
+}
+// Reads every chat index, thread and day history of the active notebook so they can be rewritten under a new key
+async function readNotebookData() {
+  const files = [];
+  for (const kind of ['contexts', 'chats', 'history', 'drafts']) {
+    const dir = getNotebookDataDir(kind);
+    let names = [];
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const filePath = path.join(dir, name);
+      files.push({ filePath, text: await readNotebookFile(filePath) });
+    }
+  }
+  return files;
+}
+function setSealedSecrets(settings, vault, secrets) {
+  settings.sealedSecrets = JSON.parse(sealBuffer(Buffer.from(JSON.stringify(secrets)), vault).toString('utf8'));
+  vaultSecrets = { vault, secrets };
+}
+async function unlockSealedSecrets(passphrase) {
+  const sealed = loadSettings().sealedSecrets;
+  if (!sealed || vaultSecrets) return Boolean(vaultSecrets);
+  try {
+    const envelope = parseSealedEnvelope(Buffer.from(JSON.stringify(sealed)));
+    const key = await deriveVaultKey(passphrase, envelope.salt, envelope.kdf);
+    const secrets = JSON.parse(openSealed(envelope, key).toString('utf8'));
+    vaultSecrets = { vault: { salt: envelope.salt, kdf: envelope.kdf, key }, secrets };
+    return true;
+  } catch (_) {
+    // Sealed with the passphrase of another notebook; the keys stay locked
+    return false;
+  }
+}
+// Moves the OpenAI key and per-provider keys out of plaintext settings
+async function sealPlainSecrets(settings, passphrase) {
+  const providers = {};
+  for (const [id, override] of Object.entries(settings.providerOverrides || {})) {
+    if (override && override.apiKey) providers[id] = override.apiKey;
+    if (override) delete override.apiKey;
+  }
+  const salt = crypto.randomBytes(16);
+  const vault = { salt, kdf: VAULT_KDF, key: await deriveVaultKey(passphrase, salt) };
+  setSealedSecrets(settings, vault, { openai: settings.openaiApiKey || '', providers });
+  delete settings.openaiApiKey;
+}
+function restorePlainSecrets(settings) {
+  const { openai, providers = {} } = vaultSecrets.secrets;
+  if (openai) settings.openaiApiKey = openai;
+  if (!settings.providerOverrides) settings.providerOverrides = {};
+  for (const [id, apiKey] of Object.entries(providers)) {
+    settings.providerOverrides[id] = { ...(settings.providerOverrides[id] || {}), apiKey };
+  }
+  delete settings.sealedSecrets;
+  vaultSecrets = null;
+}
+async function describeVault() {
+  const settings = loadSettings();
+  const encrypted = await isNotesFileSealed(settings.notesFilePath);
+  return {
+    encrypted,
+    locked: encrypted && !vaultFor(settings.notesFilePath),
+    secretsSealed: Boolean(settings.sealedSecrets),
+    secretsLocked: Boolean(settings.sealedSecrets) && !vaultSecrets,
+    autoLockMinutes: getAutoLockMinutes(),
+  };
+}
+async function broadcastVaultChanged(extra = {}) {
+  const payload = { ...(await describeVault()), ...extra };
+  for (const window of BrowserWindow.getAllWindows()) {
+    window.webContents.send('vault:changed', payload);
+  }
+}
+async function unlockVault(passphrase) {
+  const settings = loadSettings();
+  if (!settings.notesFilePath) return { success: false, reason: 'NO_PATH' };
+  const raw = await fs.promises.readFile(settings.notesFilePath);
+  if (!isSealedBuffer(raw)) {
+    // Plain notebook: the passphrase can still open the sealed API keys
+    if (!settings.sealedSecrets) return { success: false, reason: 'NOT_ENCRYPTED' };
+    if (!await unlockSealedSecrets(passphrase)) return { success: false, reason: 'WRONG_PASSPHRASE' };
+  } else {
+    const envelope = parseSealedEnvelope(raw);
+    const key = await deriveVaultKey(passphrase, envelope.salt, envelope.kdf);
+    try {
+      openSealed(envelope, key);
+    } catch (_) {
+      return { success: false, reason: 'WRONG_PASSPHRASE' };
+    }
+    vaultKey = { filePath: settings.notesFilePath, salt: envelope.salt, kdf: envelope.kdf, key };
+    notesIndexCache = null;
+    await unlockSealedSecrets(passphrase);
+  }
+  touchVault();
+  await broadcastVaultChanged();
+  return { success: true, status: await describeVault() };
+}
+// Forgets every key and every decrypted copy kept in memory
+function lockVault(reason = 'manual') {
+  if (!vaultKey && !vaultSecrets) return false;
+  vaultKey = null;
+  vaultSecrets = null;
+  notesIndexCache = null;
+  chatIndexCache.clear();
+  pendingImport = null;
+  if (analysisJob) analysisJob.cancelled = true;
+  for (const active of chatStreams.values()) active.cancel();
+  clearTimeout(vaultLockTimer);
+  vaultLockTimer = null;
+  broadcastVaultChanged({ reason }).catch((error) => console.error('Vault broadcast error:', error));
+  return true;
+}
+function enableVault(passphrase) {
+  const settings = loadSettings();
+  const filePath = settings.notesFilePath;
+  return enqueueNotesWrite(async () => {
+    if (await isNotesFileSealed(filePath)) return { success: false, reason: 'ALREADY_ENCRYPTED' };
+    const store = await loadNotesIndex(filePath);
+    const data = await readNotebookData();
+    const salt = crypto.randomBytes(16);
+    vaultKey = { filePath, salt, kdf: VAULT_KDF, key: await deriveVaultKey(passphrase, salt) };
+    await writeNotesBuffer(filePath, store.buffer);
+    const stats = await fs.promises.stat(filePath);
+    notesIndexCache = { ...store, mtimeMs: stats.mtimeMs, size: stats.size };
+    for (const file of data) await writeNotebookFile(file.filePath, file.text);
+    chatIndexCache.clear();
+    if (!settings.sealedSecrets) {
+      await sealPlainSecrets(settings, passphrase);
+      saveSettings(settings);
+    } else {
+      await unlockSealedSecrets(passphrase);
+    }
+    touchVault();
+    return { success: true };
+  });
+}
+function disableVault(passphrase) {
+  const settings = loadSettings();
+  const filePath = settings.notesFilePath;
+  return enqueueNotesWrite(async () => {
+    const vault = vaultFor(filePath);
+    if (!vault) return { success: false, reason: await isNotesFileSealed(filePath) ? 'LOCKED' : 'NOT_ENCRYPTED' };
+    const check = await deriveVaultKey(passphrase, vault.salt, vault.kdf);
+    if (!crypto.timingSafeEqual(check, vault.key)) return { success: false, reason: 'WRONG_PASSPHRASE' };
+    const store = await loadNotesIndex(filePath);
+    const data = await readNotebookData();
+    vaultKey = null;
+    await writeFileAtomic(filePath, store.buffer);
+    const stats = await fs.promises.stat(filePath);
+    notesIndexCache = { ...store, mtimeMs: stats.mtimeMs, size: stats.size };
+    for (const file of data) await writeNotebookFile(file.filePath, file.text);
+    chatIndexCache.clear();
+    // The API keys go back to plain settings once no registered notebook is encrypted
+    const others = loadNotebooks().filter((nb) => nb.id !== settings.activeNotebookId).map(notebookFilePath);
+    const stillSealed = (await Promise.all(others.map(isNotesFileSealed))).some(Boolean);
+    if (vaultSecrets && !stillSealed) {
+      restorePlainSecrets(settings);
+      saveSettings(settings);
+    }
+    scheduleAutoLock();
+    return { success: true };
+  });
+}
+function getAutoLockMinutes() {
+  const minutes = Number(loadSettings().autoLockMinutes);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : VAULT_AUTO_LOCK_MINUTES;
+}
+function touchVault() {
+  vaultActivityAt = Date.now();
+  if (!vaultLockTimer) scheduleAutoLock();
+}
+// 0 minutes keeps the notebook unlocked until it is locked by hand or the app quits
+function scheduleAutoLock() {
+  clearTimeout(vaultLockTimer);
+  vaultLockTimer = null;
+  const minutes = getAutoLockMinutes();
+  if (!minutes || (!vaultKey && !vaultSecrets)) return;
+  const remaining = vaultActivityAt + minutes * 60 * 1000 - Date.now();
+  if (remaining <= 0) {
+    lockVault('idle');
+    return;
+  }
+  vaultLockTimer = setTimeout(scheduleAutoLock, remaining);
+  vaultLockTimer.unref?.();
+}
+
+// ----- Day history -----
+// Every write that changes a day appends the new content to history/<dateKey>.json (per notebook,
+// sealed like the chat files when the notebook is encrypted). A day's first entry records what it
+// held before, so the version from before the first change can be restored too. Identical
+// consecutive versions are skipped and settings.historyLimit caps the versions kept per day,
+// never counting that first entry out. Autosaves while typing collapse into one version: an
+// autosave replaces the previous version when that is an autosave less than HISTORY_MERGE_MS old
+// and every label it held is still on the same bullet, so a version from before a label was lost
+// is never folded away.
+function getHistoryPath(dateKey) {
+  if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+  return path.join(getNotebookDataDir('history'), `${dateKey}.json`);
+}
+async function loadDayHistory(dateKey) {
+  try {
+    const parsed = JSON.parse(await readNotebookFile(getHistoryPath(dateKey)));
+    return Array.isArray(parsed.versions) ? parsed.versions.filter((v) => v && typeof v.content === 'string') : [];
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return [];
+    throw error;
+  }
+}
+async function recordDayHistory(dateKey, previous, next, source) {
+  const versions = await loadDayHistory(dateKey);
+  const at = Date.now();
+  if (versions.length === 0 && previous) versions.push({ id: crypto.randomUUID(), at, source: 'original', content: previous });
+  const last = versions[versions.length - 1];
+  if (last && last.content === next) return;
+  if (source === 'autosave' && last?.source === 'autosave' && at - last.at < HISTORY_MERGE_MS && keepsBulletLabels(last.content, next)) {
+    last.at = at;
+    last.content = next;
+  } else {
+    versions.push({ id: crypto.randomUUID(), at, source, content: next });
+  }
+  const limit = Number(loadSettings().historyLimit) || HISTORY_LIMIT;
+  await writeNotebookFile(getHistoryPath(dateKey), JSON.stringify({ dateKey, versions: trimDayHistory(versions, limit) }));
+}
+function keepsBulletLabels(previous, next) {
+  const labeled = (content) => {
+    const { text, labels, manual } = stripCategoryMarkers(content);
+    return text.split('\n').map((line, i) => (labels[i] ? `${line.trim()}\n${formatCategoryMarker(labels[i], { manual: manual[i] })}` : null)).filter(Boolean);
+  };
+  const remaining = labeled(next);
+  return labeled(previous).every((entry) => {
+    const i = remaining.indexOf(entry);
+    if (i === -1) return false;
+    remaining.splice(i, 1);
+    return true;
+  });
+}
+function trimDayHistory(versions, limit) {
+  if (versions.length <= limit) return versions;
+  const original = versions[0].source === 'original' ? [versions[0]] : [];
+  return [...original, ...versions.slice(-Math.max(1, limit - original.length))];
+}
+// Only days of the active notebook are recorded (history lives in its data folder); a failed
+// snapshot is logged rather than failing the write it describes
+async function recordNotesHistory(filePath, previous, next, dateKeys, source) {
+  if (filePath !== loadSettings().notesFilePath) return;
+  for (const dateKey of dateKeys) {
+    if (parseDateKey(dateKey) === null) continue;
+    try {
+      await recordDayHistory(dateKey, (previous[dateKey] || '').trim(), (next[dateKey] || '').trim(), source);
+    } catch (error) {
+      console.error('History error:', error);
+    }
+  }
+}
+// ----- Drafts -----
+// While a column has unsaved edits the renderer mirrors its text to drafts/<dateKey>.json in the
+// notebook's data folder, so the text survives a crash or a closed window. base is the saved
+// text the draft was typed over, which tells the renderer whether the day changed since.
+function getDraftPath(dateKey) {
+  if (parseDateKey(dateKey) === null) throw new Error('Invalid date key.');
+  return path.join(getNotebookDataDir('drafts'), `${dateKey}.json`);
+}
+async function loadDrafts() {
+  const dir = getNotebookDataDir('drafts');
+  let names = [];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const drafts = [];
+  for (const name of names) {
+    const dateKey = name.replace(/\.json$/, '');
+    if (!name.endsWith('.json') || parseDateKey(dateKey) === null) continue;
+    try {
+      const parsed = JSON.parse(await readNotebookFile(path.join(dir, name)));
+      if (typeof parsed.content !== 'string') continue;
+      drafts.push({ dateKey, content: parsed.content, base: typeof parsed.base === 'string' ? parsed.base : '', savedAt: Number(parsed.savedAt) || 0 });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error;
+    }
+  }
+  return drafts.sort((a, b) => compareDateKeys(a.dateKey, b.dateKey));
+}
+async function discardDraft(dateKey) {
+  try {
+    await fs.promises.unlink(getDraftPath(dateKey));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Line diff (longest common subsequence) from a to b: [{ type: 'same' | 'add' | 'del', text }]
+function diffLines(a, b) {
+  const left = a ? a.split('\n') : [];
+  const right = b ? b.split('\n') : [];
+  if (left.length * right.length > HISTORY_DIFF_MAX_CELLS) {
+    return [...left.map((text) => ({ type: 'del', text })), ...right.map((text) => ({ type: 'add', text }))];
+  }
+  const lcs = Array.from({ length: left.length + 1 }, () => new Uint32Array(right.length + 1));
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      out.push({ type: 'same', text: left[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: 'del', text: left[i] });
+      i += 1;
+    } else {
+      out.push({ type: 'add', text: right[j] });
+      j += 1;
+    }
+  }
+  while (i < left.length) out.push({ type: 'del', text: left[i++] });
+  while (j < right.length) out.push({ type: 'add', text: right[j++] });
+  return out;
+}
+
+// ----- Tasks -----
+// Task bullets are "- [ ] text" (open), "- [x] text" (done) and "- [>] text" (carried forward).
+// Open tasks from the last TASK_CARRY_DAYS days move to today: the copy gets "(from YYYY-MM-DD)"
+// naming the day it was first written and the original is marked "[>]" so it moves only once.
+const TASK_LINE_RE = /^(?:[-*+]\s*)?\[([ xX>]?)\](?=\s|$)\s*(.*)$/;
+const TASK_FROM_RE = /\s*\(from (\d{4}-\d{2}-\d{2})\)$/;
+function parseTaskLine(line) {
+  const m = String(line || '').trim().match(TASK_LINE_RE);
+  if (!m) return null;
+  return { state: m[1] === '' ? ' ' : m[1].toLowerCase(), text: m[2] };
+}
+function formatTaskLine(state, text) {
+  return `- [${state}] ${text}`.trimEnd();
+}
+// Splits a stored line into the task and its trailing {code} marker (kept verbatim)
+function splitTaskLine(line) {
+  const tail = (line.match(MARKER_TAIL_RE) || [''])[0];
+  const task = parseTaskLine(tail ? line.slice(0, -tail.length) : line);
+  return task ? { ...task, indent: line.match(/^\s*/)[0], tail } : null;
+}
+function taskKey(text) {
+  return text.replace(TASK_FROM_RE, '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+function carryForwardTasks(filePath, todayKey) {
+  const earliest = formatDateKey(parseDateKey(todayKey) - TASK_CARRY_DAYS * DAY_MS);
+  return updateNotesFile(filePath, (notes) => {
+    const updates = {};
+    const carried = [];
+    // Tasks already open today (typed again, or carried earlier) are not added twice
+    const present = new Set();
+    for (const line of String(notes[todayKey] || '').split('\n')) {
+      const task = splitTaskLine(line);
+      if (task && task.state !== '>') present.add(taskKey(task.text));
+    }
+    for (const dateKey of Object.keys(notes).sort()) {
+      if (dateKey < earliest || dateKey >= todayKey) continue;
+      const lines = notes[dateKey].split('\n');
+      let moved = false;
+      lines.forEach((line, i) => {
+        const task = splitTaskLine(line);
+        if (!task || task.state !== ' ' || !task.text.trim()) return;
+        const from = (task.text.match(TASK_FROM_RE) || [])[1] || dateKey;
+        const text = task.text.replace(TASK_FROM_RE, '');
+        lines[i] = `${task.indent}${formatTaskLine('>', task.text)}${task.tail}`;
+        moved = true;
+        if (present.has(taskKey(text))) return;
+        present.add(taskKey(text));
+        carried.push(`${formatTaskLine(' ', `${text} (from ${from})`)}${task.tail}`);
+      });
+      if (moved) updates[dateKey] = lines.join('\n');
+    }
+    if (Object.keys(updates).length === 0) return null;
+    if (carried.length > 0) updates[todayKey] = [notes[todayKey], ...carried].filter(Boolean).join('\n');
+    return updates;
+  }, { source: 'tasks' });
+}
+
+// ----- States and classification helpers -----
 function getDefaultStates() {
   return [
-    { code: 'm', title: 'Mental', description: 'Thoughts, mood, clarity, stress, focus.', color: 'emerald' },
-    { code: 'p', title: 'Physical', description: 'Body, energy, movement, sleep, pain.', color: 'sky' },
-    { code: 'f', title: 'Financial', description: 'Money, spending, budgeting, income, risk.', color: 'amber' },
+    { code: 'm', title: 'Mental', description: 'Thoughts, mood, clarity, stress, focus.', color: 'emerald',
+      metrics: [{ id: 'mood', label: 'Mood', kind: 'scale', min: 1, max: 5, unit: '' }] },
+    { code: 'p', title: 'Physical', description: 'Body, energy, movement, sleep, pain.', color: 'sky',
+      metrics: [{ id: 'sleep', label: 'Sleep', kind: 'number', min: 0, max: 24, unit: 'h' }] },
+    { code: 'f', title: 'Financial', description: 'Money, spending, budgeting, income, risk.', color: 'amber',
+      metrics: [{ id: 'spent', label: 'Spent', kind: 'number', min: 0, max: null, unit: '' }] },
     { code: 'c', title: 'Career', description: 'Work, progress, skills, deliverables, team.', color: 'purple' },
     { code: 'u', title: 'Purpose', description: 'Meaning, values, long-term vision, alignment.', color: 'rose' },
     { code: 'r', title: 'Record', description: 'Raw capture, logs, observations, references.', color: 'cyan' },
@@ -574,6 +2070,10 @@ function getDefaultStates() {
 function getAllowedColors() {
   return ['emerald', 'sky', 'amber', 'purple', 'rose', 'cyan', 'slate'];
 }
+// Icon names the state tiles can show; '' keeps the tile's built-in icon
+function getAllowedIcons() {
+  return ['', 'brain', 'heart', 'run', 'coins', 'briefcase', 'compass', 'book', 'leaf', 'moon', 'sun', 'home', 'people', 'music', 'star', 'target'];
+}
 function generateCodeFromTitle(title, used = new Set()) {
   const t = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
   let base = t.slice(0, 3) || 's';
@@ -590,102 +2090,1001 @@ function loadAllStates() {
   for (const s of getDefaultStates()) {
     const code = String(s.code).toLowerCase();
     used.add(code);
-    out.push({ ...s, ...(overrides[code] || {}), code });
+    out.push({ metrics: [], ...s, rules: [], keywords: [], icon: '', archived: false, ...(overrides[code] || {}), code });
   }
   for (const s of custom) {
     const base = String(s.code || '').trim().toLowerCase() || generateCodeFromTitle(s.title, used);
     let code = base; let i = 2; while (used.has(code)) { code = `${base}${i++}`; }
     used.add(code);
-    out.push({ code, title: s.title || 'Custom', description: s.description || '', color: s.color || 'slate' });
+    out.push({
+      code,
+      title: s.title || 'Custom',
+      description: s.description || '',
+      color: s.color || 'slate',
+      icon: s.icon || '',
+      keywords: Array.isArray(s.keywords) ? s.keywords : [],
+      rules: Array.isArray(s.rules) ? s.rules : [],
+      metrics: Array.isArray(s.metrics) ? s.metrics : [],
+      archived: Boolean(s.archived),
+    });
+  }
+  return out;
+}
+// States that classification may still pick
+function loadActiveStates() {
+  return loadAllStates().filter((s) => !s.archived);
+}
+// Keywords are the phrases the classifiers match; lowercased, de-duplicated, comma or line separated
+function normalizeStateKeywords(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(/[,\n]/);
+  const out = [];
+  for (const raw of list) {
+    const keyword = String(raw || '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, 60);
+    if (keyword && !out.includes(keyword)) out.push(keyword);
+  }
+  return out.slice(0, 50);
+}
+// Replaces one code in every marker of a day; labels that end up on the same code are combined
+function rewriteMarkerCode(content, from, to) {
+  const { labels, manual } = stripCategoryMarkers(content);
+  let bullets = 0;
+  const lines = content.replace(/\r\n/g, '\n').split('\n').map((line, i) => {
+    if (!labels[i] || !labels[i].some((l) => l.code === from)) return line;
+    bullets += 1;
+    const merged = [];
+    for (const label of labels[i]) {
+      const code = label.code === from ? to : label.code;
+      const same = merged.find((l) => l.code === code);
+      if (!same) merged.push({ code, weight: label.weight });
+      else if (same.weight !== null && label.weight !== null) same.weight += label.weight;
+    }
+    merged.sort((a, b) => (b.weight ?? 0) - (a.weight ?? 0));
+    return `${line.replace(MARKER_TAIL_RE, '')} ${formatCategoryMarker(merged, { manual: manual[i] })}`;
+  });
+  return bullets > 0 ? { content: lines.join('\n'), bullets } : null;
+}
+// Markers sit at the end of a bullet: {m}, {c,f} or weighted {c:0.7,f:0.3}. A leading "!"
+// ({!m}) marks a label the user picked by hand; analysis never replaces those.
+const MARKER_LABEL_SOURCE = '[a-z0-9_-]{1,8}(?:\\s*:\\s*\\d*\\.?\\d+)?';
+const MARKER_SOURCE = `\\{(!?)(${MARKER_LABEL_SOURCE}(?:\\s*,\\s*${MARKER_LABEL_SOURCE})*)\\}`;
+const MARKER_LINE_RE = new RegExp(`^(.*?)\\s*${MARKER_SOURCE}\\s*$`, 'i');
+const MARKER_TAIL_RE = new RegExp(`\\s*${MARKER_SOURCE}\\s*$`, 'i');
+// A code that fits in a marker, for codes typed by the user
+const STATE_CODE_RE = /^[a-z0-9_-]{1,8}$/;
+// Returns [{ code, weight }] with the heaviest label first; weight is null when unweighted
+function parseCategoryMarker(inner) {
+  const labels = [];
+  for (const part of String(inner || '').split(',')) {
+    const [rawCode, rawWeight] = part.split(':');
+    const code = rawCode.trim().toLowerCase();
+    if (!code || labels.some((l) => l.code === code)) continue;
+    const weight = rawWeight === undefined ? null : Number(rawWeight.trim());
+    labels.push({ code, weight: Number.isFinite(weight) ? weight : null });
+  }
+  return labels.sort((a, b) => (b.weight ?? 0) - (a.weight ?? 0));
+}
+// Accepts what classifiers hand back: 'c', 'c,f', ['c', 'f'], [{ code, weight }] or { c: 0.7, f: 0.3 }
+function normalizeCategoryLabels(value) {
+  if (!value) return [];
+  if (typeof value === 'string') return parseCategoryMarker(value);
+  const list = Array.isArray(value)
+    ? value
+    : Object.entries(value).map(([code, weight]) => ({ code, weight }));
+  const out = [];
+  for (const item of list) {
+    const label = typeof item === 'string' ? parseCategoryMarker(item)[0] : item;
+    const code = String(label?.code || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]{1,8}$/.test(code) || out.some((l) => l.code === code)) continue;
+    const weight = Number(label.weight);
+    out.push({ code, weight: label.weight !== null && label.weight !== undefined && Number.isFinite(weight) ? weight : null });
+  }
+  return out.sort((a, b) => (b.weight ?? 0) - (a.weight ?? 0));
+}
+function formatCategoryMarker(labels, { manual = false } = {}) {
+  if (!labels || labels.length === 0) return '';
+  const flag = manual ? '!' : '';
+  if (labels.length === 1) return `{${flag}${labels[0].code}}`;
+  const weighted = labels.some((l) => l.weight !== null && l.weight !== undefined);
+  return `{${flag}${labels.map((l) => (weighted && l.weight !== null && l.weight !== undefined ? `${l.code}:${Number(l.weight.toFixed(2))}` : l.code)).join(',')}}`;
+}
+function stripCategoryMarkers(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const codes = [];
+  const labels = [];
+  const manual = [];
+  const cleaned = lines.map((line) => {
+    const m = line.match(MARKER_LINE_RE);
+    if (m) {
+      const parsed = parseCategoryMarker(m[3]);
+      codes.push(parsed[0].code); labels.push(parsed); manual.push(m[2] === '!');
+      return m[1].trimEnd();
+    }
+    codes.push(null); labels.push(null); manual.push(false); return line;
+  }).join('\n');
+  // codes keeps the primary (heaviest) code per line for callers that only need one
+  return { text: cleaned, codes, labels, manual };
+}
+// bullets are the non-empty lines without markers; pinned holds the hand-set labels per bullet
+function extractBulletBase(text) {
+  const { text: withoutMarkers, labels, manual } = stripCategoryMarkers(text);
+  const lines = withoutMarkers.split('\n');
+  const bullets = [];
+  const pinned = [];
+  const depths = [];
+  const normalized = [];
+  lines.forEach((l, i) => {
+    if (!l.trim()) return;
+    const base = l.trim().replace(/^-\s*/, '').trim();
+    const depth = Math.min(bulletDepth(l), depths.length > 0 ? depths[depths.length - 1] + 1 : 0);
+    bullets.push(base);
+    pinned.push(manual[i] ? labels[i] : null);
+    depths.push(depth);
+    normalized.push(`${BULLET_INDENT.repeat(depth)}- ${base}`);
+  });
+  return { text: normalized.join('\n'), bullets, pinned, depths };
+}
+// Index of each bullet's parent (the nearest earlier bullet one level up), -1 at the top level
+function bulletParents(depths) {
+  const stack = [];
+  return depths.map((depth, i) => {
+    stack.length = depth;
+    const parent = depth > 0 && stack.length > 0 ? stack[stack.length - 1] : -1;
+    stack.push(i);
+    return parent;
+  });
+}
+// Labels every bullet of a day except hand-set ones; resolves to the marked-up text or null.
+// Only top-level bullets go to the classifier; sub-bullets take their parent's labels.
+async function classifyDayContent(content, states, provider, classifier, requestOptions) {
+  const { text, bullets, pinned, depths } = extractBulletBase(content);
+  if (bullets.length === 0) return null;
+  const parents = bulletParents(depths);
+  const open = [];
+  pinned.forEach((labels, i) => { if (!labels && parents[i] === -1) open.push(i); });
+  const resolved = pinned.slice();
+  if (open.length > 0) {
+    const codes = await classifyBullets(open.map((i) => bullets[i]), states, provider, classifier, requestOptions);
+    if (!codes || codes.length !== open.length) return null;
+    open.forEach((i, j) => { resolved[i] = normalizeCategoryLabels(codes[j]); });
+  }
+  // Parents come before their children, so one pass sees every parent already resolved
+  const markers = resolved.map((labels, i) => {
+    if (pinned[i]) return formatCategoryMarker(labels, { manual: true });
+    if (parents[i] !== -1) resolved[i] = resolved[parents[i]];
+    return formatCategoryMarker(resolved[i]);
+  });
+  return text.split('\n').map((line, i) => (markers[i] ? `${line} ${markers[i]}` : line)).join('\n');
+}
+function allLinesHaveMarkers(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n').filter((l) => l.trim().length > 0);
+  if (lines.length === 0) return false;
+  return lines.every((l) => MARKER_TAIL_RE.test(l));
+}
+// Labels follow their bullet's text, not its line number, so inserting or moving lines keeps them
+// on the right bullet; repeated bullets take the old labels in order and new text stays unlabeled
+function mergeCategoryMarkers(previous, nextNormalized) {
+  const prev = stripCategoryMarkers(previous);
+  const byText = new Map();
+  prev.text.split('\n').forEach((line, i) => {
+    if (!prev.labels[i]) return;
+    const key = line.trim();
+    if (!byText.has(key)) byText.set(key, []);
+    byText.get(key).push(i);
+  });
+  const merged = nextNormalized.split('\n').map((line) => {
+    const base = line.replace(MARKER_TAIL_RE, '').trimEnd();
+    const i = (byText.get(base.trim()) || []).shift();
+    const marker = i === undefined ? '' : formatCategoryMarker(prev.labels[i], { manual: prev.manual[i] });
+    return marker ? `${base} ${marker}` : base;
+  });
+  return merged.join('\n');
+}
+// ----- State history helpers -----
+function parseDateKey(dateKey) {
+  const m = String(dateKey || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const time = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(time) ? null : time;
+}
+function formatDateKey(time) {
+  const d = new Date(time);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+function todayDateKey() {
+  return localDateKey(Date.now());
+}
+function localDateKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+function isoWeekKey(time) {
+  // ISO-8601 week: weeks start on Monday and belong to the year of their Thursday
+  const d = new Date(time);
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d.getTime() - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+function monthKey(time) {
+  const d = new Date(time);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+// ----- Reviews -----
+// Weekly and monthly reviews live in the notes file as "## 2026-W42 Review" / "## 2026-10 Review"
+// sections. They are kept out of the daily notes map, so search, analysis and chat never see them.
+function parseReviewHeading(heading) {
+  const m = String(heading || '').match(/^(\d{4}-W\d{2}|\d{4}-\d{2}) Review$/);
+  return m ? m[1] : null;
+}
+function reviewHeading(periodKey) {
+  return `${periodKey} Review`;
+}
+function reviewPeriodRange(periodKey) {
+  let m = String(periodKey || '').match(/^(\d{4})-W(\d{2})$/);
+  if (m) {
+    // ISO week 1 is the week containing January 4th
+    const jan4 = Date.UTC(Number(m[1]), 0, 4);
+    const from = jan4 - ((new Date(jan4).getUTCDay() || 7) - 1) * DAY_MS + (Number(m[2]) - 1) * 7 * DAY_MS;
+    if (isoWeekKey(from) !== periodKey) return null;
+    return { period: 'week', from: formatDateKey(from), to: formatDateKey(from + 6 * DAY_MS) };
+  }
+  m = String(periodKey || '').match(/^(\d{4})-(\d{2})$/);
+  if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) {
+    return { period: 'month', from: `${periodKey}-01`, to: formatDateKey(Date.UTC(Number(m[1]), Number(m[2]), 0)) };
+  }
+  return null;
+}
+function describeReviews(reviews) {
+  return Object.entries(reviews || {})
+    .map(([periodKey, content]) => ({ periodKey, ...reviewPeriodRange(periodKey), content }))
+    .sort((a, b) => sortDateKeysDesc(a.to, b.to) || (a.period === 'month' ? -1 : 1));
+}
+// Bullets of the period grouped per state (a multi-label bullet lands in each of its states)
+function groupReviewBullets(notes, range, states) {
+  const groups = new Map(states.map((s) => [s.code, { code: s.code, title: s.title, bullets: [] }]));
+  const unlabeled = { code: '', title: 'Unlabeled', bullets: [] };
+  const days = Object.keys(notes || {}).filter((k) => dateKeyInRange(k, range.from, range.to)).sort(compareDateKeys);
+  for (const dateKey of days) {
+    const { text, labels } = stripCategoryMarkers(notes[dateKey] || '');
+    text.split('\n').forEach((line, i) => {
+      const base = line.trim().replace(/^-\s*/, '');
+      if (!base) return;
+      const targets = (labels[i] || []).map((l) => groups.get(l.code)).filter(Boolean);
+      for (const group of targets.length ? targets : [unlabeled]) {
+        if (group.bullets.length < 120) group.bullets.push({ dateKey, text: base });
+      }
+    });
+  }
+  return [...groups.values(), unlabeled].filter((g) => g.bullets.length > 0);
+}
+function buildReviewPrompt(periodKey, range, groups) {
+  const system = (
+    'You write concise periodic reviews of a personal daily log. Bullets are grouped by life-area state. ' +
+    'For each state identify wins, recurring problems (issues showing up on more than one day) and open loops ' +
+    '(things started, planned or left unresolved). Refer to specific entries by their YYYY-MM-DD date. Respond ONLY with strict JSON.'
+  );
+  const user = {
+    period: periodKey,
+    from: range.from,
+    to: range.to,
+    states: groups.map((g) => ({ code: g.code, title: g.title, bullets: g.bullets.map((b) => `${b.dateKey}: ${b.text}`) })),
+    instructions:
+      'Return JSON {"summary":"two or three sentences","states":[{"code":"...","wins":["..."],"problems":["..."],"openLoops":["..."]}]}. ' +
+      'Use only the given codes, skip states without anything worth noting, at most five items per list, each under 25 words.',
+  };
+  return {
+    temperature: 0.3,
+    response_format: { type: 'json_object' },
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: JSON.stringify(user) },
+    ],
+  };
+}
+function formatReview(range, groups, result) {
+  const total = new Set(groups.flatMap((g) => g.bullets.map((b) => `${b.dateKey}\n${b.text}`))).size;
+  const lines = [`_${range.from} to ${range.to} · ${total} ${total === 1 ? 'bullet' : 'bullets'}_`];
+  const summary = String(result?.summary || '').trim();
+  if (summary) lines.push('', summary);
+  const byCode = new Map((Array.isArray(result?.states) ? result.states : []).map((s) => [String(s.code || '').toLowerCase(), s]));
+  for (const group of groups) {
+    const entry = byCode.get(group.code);
+    if (!entry) continue;
+    const lists = [['Wins', entry.wins], ['Recurring problems', entry.problems], ['Open loops', entry.openLoops]]
+      .map(([label, items]) => [label, (Array.isArray(items) ? items : []).map((item) => String(item).replace(/\s+/g, ' ').trim()).filter(Boolean)])
+      .filter(([, items]) => items.length > 0);
+    if (lists.length === 0) continue;
+    lines.push('', `### ${group.title}`);
+    for (const [label, items] of lists) {
+      lines.push(`**${label}**`, ...items.map((item) => `- ${item}`));
+    }
+  }
+  return lines.join('\n');
+}
+async function generateReview(periodKey, provider) {
+  const settings = loadSettings();
+  const range = reviewPeriodRange(periodKey);
+  const { notes } = await readNotes(settings.notesFilePath);
+  const groups = groupReviewBullets(notes, range, loadAllStates());
+  if (groups.length === 0) return { success: false, reason: 'EMPTY' };
+  const res = await requestChatCompletion(provider, buildReviewPrompt(periodKey, range, groups), { feature: 'review' });
+  if (!res) return { success: false, reason: 'API_ERROR' };
+  let parsed;
+  try {
+    parsed = JSON.parse(JSON.parse(res).choices?.[0]?.message?.content || '');
+  } catch (_) {
+    return { success: false, reason: 'BAD_RESPONSE' };
   }
-  return out;
+  const content = formatReview(range, groups, parsed);
+  await updateNotesFile(settings.notesFilePath, () => ({ [reviewHeading(periodKey)]: content }));
+  broadcastNotesUpdated(null, { dateKeys: [], reviews: [periodKey] });
+  return { success: true, review: { periodKey, ...range, content } };
 }
-function stripCategoryMarkers(text) {
-  const lines = text.replace(/\r\n/g, '\n').split('\n');
-  const codes = [];
-  const cleaned = lines.map((line) => {
-    const m = line.match(/^(.*?)(?:\s*\{([a-z0-9_-]{1,8})\})\s*$/i);
-    if (m) { codes.push(m[2].toLowerCase()); return m[1].trimEnd(); }
-    codes.push(null); return line;
-  }).join('\n');
-  return { text: cleaned, codes };
+function sortDateKeysDesc(a, b) {
+  const aTime = Date.parse(a);
+  const bTime = Date.parse(b);
+  if (!Number.isNaN(aTime) && !Number.isNaN(bTime)) return bTime - aTime;
+  return b.localeCompare(a);
 }
-function extractBulletBase(text) {
-  const { text: withoutMarkers } = stripCategoryMarkers(text);
-  const lines = withoutMarkers.replace(/\r\n/g, '\n').split('\n');
-  const bullets = [];
-  const normalized = lines.map((l) => l.trim()).filter((l) => l.length > 0).map((l) => {
-    const base = l.replace(/^-\s*/, '').trim(); bullets.push(base); return `- ${base}`;
-  }).join('\n');
-  return { text: normalized, bullets };
+function collectStateBullets(content, code) {
+  const target = String(code || '').toLowerCase();
+  const { text, labels } = stripCategoryMarkers(content || '');
+  const out = [];
+  text.split('\n').forEach((line, i) => {
+    if (!labels[i] || !labels[i].some((l) => l.code === target)) return;
+    const base = line.trim().replace(/^-\s*/, '');
+    if (base) out.push(base);
+  });
+  return out;
 }
-function allLinesHaveMarkers(text) {
-  const lines = text.replace(/\r\n/g, '\n').split('\n').filter((l) => l.trim().length > 0);
-  if (lines.length === 0) return false;
-  return lines.every((l) => /\{[a-z0-9_-]{1,8}\}\s*$/i.test(l));
+function buildStateHistory(notes, code, { weeks = 12, months = 12, days = 84 } = {}) {
+  const target = String(code || '').toLowerCase();
+  const entries = [];
+  const countsByDay = new Map();
+  let totalBullets = 0;
+  for (const [dateKey, content] of Object.entries(notes || {})) {
+    const bullets = collectStateBullets(content, target);
+    if (bullets.length === 0) continue;
+    entries.push({ dateKey, bullets });
+    totalBullets += bullets.length;
+    const time = parseDateKey(dateKey);
+    if (time !== null) countsByDay.set(time, bullets.length);
+  }
+  entries.sort((a, b) => sortDateKeysDesc(a.dateKey, b.dateKey));
+
+  const today = parseDateKey(todayDateKey());
+  const weekCounts = new Map();
+  const monthCounts = new Map();
+  for (const [time, count] of countsByDay) {
+    const wk = isoWeekKey(time);
+    const mo = monthKey(time);
+    weekCounts.set(wk, (weekCounts.get(wk) || 0) + count);
+    monthCounts.set(mo, (monthCounts.get(mo) || 0) + count);
+  }
+
+  const weekSeries = [];
+  for (let i = weeks - 1; i >= 0; i -= 1) {
+    const key = isoWeekKey(today - i * 7 * DAY_MS);
+    weekSeries.push({ key, count: weekCounts.get(key) || 0 });
+  }
+  const monthSeries = [];
+  const now = new Date(today);
+  for (let i = months - 1; i >= 0; i -= 1) {
+    const key = monthKey(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    monthSeries.push({ key, count: monthCounts.get(key) || 0 });
+  }
+  const daily = [];
+  for (let i = days - 1; i >= 0; i -= 1) {
+    const time = today - i * DAY_MS;
+    daily.push({ dateKey: formatDateKey(time), count: countsByDay.get(time) || 0 });
+  }
+
+  // Streaks count consecutive calendar days with at least one bullet for the state.
+  // The current streak stays alive until a full day passes without an entry.
+  const activeTimes = Array.from(countsByDay.keys()).sort((a, b) => a - b);
+  let longestStreak = 0;
+  let run = 0;
+  for (let i = 0; i < activeTimes.length; i += 1) {
+    run = i > 0 && activeTimes[i] - activeTimes[i - 1] === DAY_MS ? run + 1 : 1;
+    if (run > longestStreak) longestStreak = run;
+  }
+  let currentStreak = 0;
+  let cursor = countsByDay.has(today) ? today : today - DAY_MS;
+  while (countsByDay.has(cursor)) { currentStreak += 1; cursor -= DAY_MS; }
+
+  return {
+    code: target,
+    totalBullets,
+    activeDays: entries.length,
+    currentStreak,
+    longestStreak,
+    lastEntry: entries.length ? entries[0].dateKey : null,
+    weeks: weekSeries,
+    months: monthSeries,
+    daily,
+    days: entries,
+  };
 }
-function applyMarkersToBullets(normalizedText, codes) {
-  const lines = normalizedText.split('\n');
-  const out = [];
-  for (let i = 0; i < lines.length; i += 1) {
-    const code = String(codes[i] || '').toLowerCase();
-    out.push(code ? `${lines[i]} {${code}}` : lines[i]);
+// ----- Search helpers -----
+// Query syntax: plain words and "quoted phrases" must all appear in the bullet;
+// state:m (or state:m,p) keeps bullets tagged with any listed code;
+// from:/to: bound the day key inclusively and accept partial keys such as 2024-03.
+function parseSearchQuery(query) {
+  const parsed = { terms: [], states: [], from: null, to: null };
+  const pattern = /([a-z]+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/gi;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    if (match[1]) {
+      const key = match[1].toLowerCase();
+      const value = match[2].replace(/^"|"$/g, '').trim();
+      if (key === 'state' || key === 's') {
+        value.split(',').map((c) => c.trim().toLowerCase()).filter(Boolean).forEach((c) => parsed.states.push(c));
+        continue;
+      }
+      if ((key === 'from' || key === 'after') && /^\d{4}(-\d{2}){0,2}$/.test(value)) { parsed.from = value; continue; }
+      if ((key === 'to' || key === 'before') && /^\d{4}(-\d{2}){0,2}$/.test(value)) { parsed.to = value; continue; }
+      if (key === 'on' && /^\d{4}(-\d{2}){0,2}$/.test(value)) { parsed.from = value; parsed.to = value; continue; }
+      parsed.terms.push(match[0].toLowerCase());
+    } else {
+      const term = (match[3] !== undefined ? match[3] : match[4]).trim().toLowerCase();
+      if (term) parsed.terms.push(term);
+    }
   }
-  return out.join('\n');
+  return parsed;
 }
-function mergeCategoryMarkers(previous, nextNormalized) {
-  const prev = stripCategoryMarkers(previous);
-  const nextLines = nextNormalized.split('\n');
-  const merged = [];
-  for (let i = 0; i < nextLines.length; i += 1) {
-    const base = nextLines[i].replace(/\{[a-z0-9_-]{1,8}\}\s*$/i, '').trimEnd();
-    const code = prev.codes[i];
-    merged.push(code ? `${base} {${code}}` : base);
+function dateKeyInRange(dateKey, from, to) {
+  if (from && dateKey < from) return false;
+  if (to && dateKey.slice(0, to.length) > to) return false;
+  return true;
+}
+function searchNotes(notes, { query, from, to, limit = 200 } = {}) {
+  const parsed = parseSearchQuery(query);
+  const rangeFrom = from || parsed.from;
+  const rangeTo = to || parsed.to;
+  const wanted = new Set(parsed.states);
+  const hits = [];
+  let total = 0;
+  const keys = Object.keys(notes || {}).sort(sortDateKeysDesc);
+  for (const dateKey of keys) {
+    if (!dateKeyInRange(dateKey, rangeFrom, rangeTo)) continue;
+    const { text, codes, labels } = stripCategoryMarkers(notes[dateKey] || '');
+    text.split('\n').forEach((line, i) => {
+      const base = line.trim().replace(/^-\s*/, '');
+      if (!base) return;
+      if (wanted.size > 0 && !(labels[i] || []).some((l) => wanted.has(l.code))) return;
+      const haystack = base.toLowerCase();
+      if (!parsed.terms.every((term) => haystack.includes(term))) return;
+      total += 1;
+      if (hits.length < limit) hits.push({ dateKey, line: i, text: base, code: codes[i], labels: labels[i] });
+    });
   }
-  return merged.join('\n');
+  return { hits, total, terms: parsed.terms, truncated: total > hits.length };
 }
-function getOpenAIKey() {
+// While settings.sealedSecrets exists the stored key is only readable with the vault unlocked
+function getStoredOpenAIKey() {
   const settings = loadSettings();
-  if (settings && typeof settings.openaiApiKey === 'string' && settings.openaiApiKey.trim()) return settings.openaiApiKey.trim();
+  const stored = settings.sealedSecrets ? vaultSecrets?.secrets.openai : settings.openaiApiKey;
+  return typeof stored === 'string' && stored.trim() ? stored.trim() : null;
+}
+function getOpenAIKey() {
+  const stored = getStoredOpenAIKey();
+  if (stored) return stored;
   if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.trim()) return process.env.OPENAI_API_KEY.trim();
   return null;
 }
-async function classifyBulletsWithOpenAI(bullets, states, apiKey) {
-  const payload = buildClassificationPrompt(bullets, states);
-  const body = JSON.stringify(payload);
-  const res = await fetchOpenAI('/v1/chat/completions', apiKey, body);
+async function classifyBulletsWithOpenAI(bullets, states, provider, requestOptions) {
+  // Bullets already labeled by the same model under the same state definitions come from the cache
+  const cache = loadClassificationCache();
+  const stateHash = hashStateDefinitions(states);
+  const keys = bullets.map((bullet) => classificationCacheKey(stateHash, provider, bullet));
+  const labels = keys.map((key) => cache.get(key)?.labels || null);
+  const missing = [];
+  labels.forEach((entry, i) => { if (!entry) missing.push(i); });
+  if (missing.length === 0) return labels;
+  const payload = buildClassificationPrompt(missing.map((i) => bullets[i]), states);
+  const res = await requestChatCompletion(provider, payload, { ...requestOptions, feature: 'classification' });
   if (!res) return null;
+  let fresh;
   try {
     const data = JSON.parse(res);
     const content = data.choices?.[0]?.message?.content?.trim();
     if (!content) return null;
     const parsed = JSON.parse(content);
-    const labels = parsed.labels || parsed.codes || parsed.categories || [];
-    return labels.map((c) => String(c).toLowerCase());
+    fresh = (parsed.labels || parsed.codes || parsed.categories || []).map((c) => normalizeCategoryLabels(c));
   } catch (_) { return null; }
+  if (fresh.length !== missing.length) return null;
+  missing.forEach((i, j) => {
+    labels[i] = fresh[j];
+    if (fresh[j].length > 0) cache.set(keys[i], { labels: fresh[j], at: Date.now() });
+  });
+  scheduleClassificationCacheSave();
+  return labels;
+}
+// ----- Import -----
+// Day One JSON exports, Obsidian/Logseq daily-note folders and date,text CSV files are turned
+// into { dateKey: [bullet text] }. planImport() then drops bullets the day already has, so a
+// preview can be shown before anything is written and re-importing the same source is a no-op.
+function getImportFormats() {
+  return ['dayone', 'folder', 'csv'];
+}
+// Markdown-ish text to bullet texts: headings, list markers and checkboxes become plain bullets
+function textToImportBullets(text) {
+  const bullets = [];
+  for (const raw of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    if (/^\s*(-\s+)?[\w-]+::\s/.test(raw)) continue; // Logseq block properties
+    const line = raw
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')
+      .replace(/^\s*(#{1,6}\s+|[-*+]\s+(\[[ xX]\]\s+)?|\d+[.)]\s+|>\s*)/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (line && !/^(-{3,}|\*{3,})$/.test(line)) bullets.push(line);
+  }
+  return bullets;
+}
+function dateKeyInTimeZone(time, timeZone) {
+  if (Number.isNaN(time)) return null;
+  if (timeZone) {
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(time));
+    } catch (_) {}
+  }
+  return localDateKey(time);
+}
+function addImportBullets(days, dateKey, bullets) {
+  if (!dateKey || parseDateKey(dateKey) === null || bullets.length === 0) return;
+  (days[dateKey] || (days[dateKey] = [])).push(...bullets);
+}
+function parseDayOneExport(raw) {
+  const data = JSON.parse(raw);
+  const entries = Array.isArray(data?.entries) ? data.entries : [];
+  const days = {};
+  for (const entry of entries) {
+    addImportBullets(days, dateKeyInTimeZone(Date.parse(entry.creationDate), entry.timeZone), textToImportBullets(entry.text));
+  }
+  return days;
+}
+// RFC 4180: quoted fields may hold commas, doubled quotes and newlines
+function parseCsvRows(raw) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = String(raw || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i += 1; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+function parseCsvExport(raw) {
+  const rows = parseCsvRows(raw);
+  let dateColumn = 0;
+  let textColumn = 1;
+  const header = (rows[0] || []).map((cell) => cell.trim().toLowerCase());
+  if (header.includes('date') || header.includes('text')) {
+    if (header.includes('date')) dateColumn = header.indexOf('date');
+    const named = header.findIndex((cell) => ['text', 'note', 'notes', 'entry', 'content'].includes(cell));
+    textColumn = named !== -1 ? named : dateColumn === 0 ? 1 : 0;
+    rows.shift();
+  }
+  const days = {};
+  for (const row of rows) {
+    const cell = String(row[dateColumn] || '').trim();
+    const m = cell.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    const dateKey = m ? `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` : dateKeyInTimeZone(Date.parse(cell));
+    addImportBullets(days, dateKey, textToImportBullets(row[textColumn]));
+  }
+  return days;
+}
+// Obsidian names daily notes YYYY-MM-DD.md, Logseq YYYY_MM_DD.md under journals/
+async function parseDailyNotesFolder(dir) {
+  let folder = dir;
+  try {
+    if ((await fs.promises.stat(path.join(dir, 'journals'))).isDirectory()) folder = path.join(dir, 'journals');
+  } catch (_) {}
+  const names = (await fs.promises.readdir(folder)).filter((name) => /^\d{4}[-_.]\d{2}[-_.]\d{2}\.(md|markdown)$/i.test(name));
+  if (names.length > IMPORT_MAX_FILES) throw new Error(`Too many files (${names.length}).`);
+  const days = {};
+  for (const name of names) {
+    const dateKey = name.slice(0, 10).replace(/[_.]/g, '-');
+    const raw = await fs.promises.readFile(path.join(folder, name), 'utf8');
+    // YAML front matter holds metadata, not entries
+    addImportBullets(days, dateKey, textToImportBullets(raw.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')));
+  }
+  return days;
+}
+async function readImportSource(format, sourcePath) {
+  if (format === 'folder') return parseDailyNotesFolder(sourcePath);
+  const stat = await fs.promises.stat(sourcePath);
+  if (stat.size > IMPORT_MAX_BYTES) throw new Error('File is too large to import.');
+  const raw = await fs.promises.readFile(sourcePath, 'utf8');
+  return format === 'dayone' ? parseDayOneExport(raw) : parseCsvExport(raw);
+}
+function importBulletKey(text) {
+  return String(text || '').replace(/^-\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+function planImport(imported, notes) {
+  const days = {};
+  let bullets = 0;
+  let duplicates = 0;
+  for (const [dateKey, incoming] of Object.entries(imported)) {
+    const seen = new Set(stripCategoryMarkers(notes[dateKey] || '').text.split('\n').map(importBulletKey).filter(Boolean));
+    const added = [];
+    for (const bullet of incoming) {
+      bullets += 1;
+      const key = importBulletKey(bullet);
+      if (seen.has(key)) { duplicates += 1; continue; }
+      seen.add(key);
+      added.push(bullet);
+    }
+    if (added.length > 0) days[dateKey] = added;
+  }
+  return { days, bullets, duplicates };
+}
+function describeImportPlan(plan, notes) {
+  const dateKeys = Object.keys(plan.days).sort(sortDateKeysDesc);
+  return {
+    totalBullets: plan.bullets,
+    duplicates: plan.duplicates,
+    newBullets: dateKeys.reduce((sum, k) => sum + plan.days[k].length, 0),
+    days: dateKeys.length,
+    newDays: dateKeys.filter((k) => !(notes[k] || '').trim()).length,
+    from: dateKeys[dateKeys.length - 1] || null,
+    to: dateKeys[0] || null,
+    sample: dateKeys.slice(0, 20).map((dateKey) => ({ dateKey, bullets: plan.days[dateKey].slice(0, 5), more: Math.max(0, plan.days[dateKey].length - 5), existing: Boolean((notes[dateKey] || '').trim()) })),
+  };
+}
+async function pickImportSource(targetWindow, format) {
+  if (format === 'folder') {
+    const { canceled, filePaths } = await dialog.showOpenDialog(targetWindow, {
+      title: 'Select an Obsidian or Logseq daily notes folder',
+      properties: ['openDirectory'],
+    });
+    return canceled || !filePaths || filePaths.length === 0 ? null : filePaths[0];
+  }
+  const filters = format === 'dayone'
+    ? [{ name: 'Day One JSON', extensions: ['json'] }]
+    : [{ name: 'CSV', extensions: ['csv', 'txt'] }];
+  const { canceled, filePaths } = await dialog.showOpenDialog(targetWindow, {
+    title: format === 'dayone' ? 'Select a Day One JSON export' : 'Select a CSV file (date,text)',
+    properties: ['openFile'],
+    filters: [...filters, { name: 'All Files', extensions: ['*'] }],
+  });
+  return canceled || !filePaths || filePaths.length === 0 ? null : filePaths[0];
+}
+// ----- Export -----
+// notes:export reads the notes through stripCategoryMarkers and writes one of four formats:
+// JSON (one record per bullet with its state codes), CSV (one row per bullet and label, for
+// pivot tables), a self-contained HTML journal and an ICS calendar with one all-day event per day.
+const EXPORT_COLORS = { emerald: '#34d399', sky: '#38bdf8', amber: '#fbbf24', purple: '#c084fc', rose: '#fb7185', cyan: '#22d3ee', slate: '#94a3b8' };
+function getExportFormats() {
+  return { json: 'json', csv: 'csv', html: 'html', ics: 'ics' };
+}
+// metricIds narrows each day's metrics to the filtered state's own; null keeps them all
+function collectExportDays(notes, { from, to, state, metrics = {}, metricIds = null } = {}) {
+  const days = [];
+  const dateKeys = Object.keys(notes || {}).filter((k) => parseDateKey(k) !== null && dateKeyInRange(k, from, to)).sort(compareDateKeys);
+  for (const dateKey of dateKeys) {
+    const { text, labels, manual } = stripCategoryMarkers(notes[dateKey] || '');
+    const bullets = [];
+    text.split('\n').forEach((line, i) => {
+      const base = line.trim().replace(/^-\s*/, '');
+      if (!base) return;
+      const bulletLabels = labels[i] || [];
+      if (state && !bulletLabels.some((l) => l.code === state)) return;
+      bullets.push({ text: base, labels: bulletLabels, manual: Boolean(manual[i]) });
+    });
+    const dayMetrics = Object.entries(metrics[dateKey] || {}).filter(([id]) => !metricIds || metricIds.includes(id));
+    if (bullets.length > 0) days.push({ dateKey, bullets, metrics: dayMetrics.length ? Object.fromEntries(dayMetrics) : null });
+  }
+  return days;
+}
+function exportToJson(days, states, meta) {
+  return `${JSON.stringify({
+    exportedAt: new Date(meta.exportedAt).toISOString(),
+    filter: { from: meta.from || null, to: meta.to || null, state: meta.state || null },
+    states: states.map((s) => ({ code: s.code, title: s.title, color: s.color })),
+    days: days.map((day) => ({
+      date: day.dateKey,
+      bullets: day.bullets.map((b) => ({
+        text: b.text,
+        states: b.labels.map((l) => l.code),
+        weights: b.labels.some((l) => l.weight !== null) ? Object.fromEntries(b.labels.map((l) => [l.code, l.weight])) : null,
+        manual: b.manual,
+      })),
+      metrics: day.metrics,
+    })),
+  }, null, 2)}\n`;
+}
+// Text starting with = + - @ (or a tab/CR) would run as a formula in a spreadsheet; a leading '
+// keeps it text. Numbers are written as they are.
+function csvField(value) {
+  const raw = String(value ?? '');
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function exportToCsv(days, states) {
+  const titles = new Map(states.map((s) => [s.code, s.title]));
+  const rows = [['date', 'bullet', 'state', 'state_title', 'weight', 'manual']];
+  for (const day of days) {
+    for (const b of day.bullets) {
+      const labels = b.labels.length ? b.labels : [{ code: '', weight: null }];
+      for (const l of labels) {
+        // Unweighted labels split the bullet evenly so weights always sum to 1 per bullet
+        const weight = l.code ? (l.weight ?? 1 / labels.length) : '';
+        rows.push([day.dateKey, b.text, l.code, titles.get(l.code) || '', weight === '' ? '' : Number(weight.toFixed(3)), b.manual ? 'yes' : 'no']);
+      }
+    }
+  }
+  return `${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+function exportToHtml(days, states, meta) {
+  const byCode = new Map(states.map((s) => [s.code, s]));
+  const longDate = new Intl.DateTimeFormat('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  const dot = (code) => {
+    const s = byCode.get(code);
+    return `<span class="dot" style="background:${EXPORT_COLORS[s?.color] || EXPORT_COLORS.slate}" title="${escapeHtml(s?.title || code)}"></span>`;
+  };
+  const subtitle = [meta.state ? escapeHtml(byCode.get(meta.state)?.title || meta.state) : '', meta.from || meta.to ? `${escapeHtml(meta.from || '…')} to ${escapeHtml(meta.to || '…')}` : '']
+    .filter(Boolean).join(' · ');
+  const legend = states
+    .filter((s) => days.some((d) => d.bullets.some((b) => b.labels.some((l) => l.code === s.code))))
+    .map((s) => `<li>${dot(s.code)}${escapeHtml(s.title)}</li>`).join('');
+  const body = days.map((day) => `
+  <section>
+    <h2>${escapeHtml(longDate.format(new Date(parseDateKey(day.dateKey))))}</h2>
+    <ul>${day.bullets.map((b) => `
+      <li>${b.labels.map((l) => dot(l.code)).join('') || '<span class="dot none"></span>'}${escapeHtml(b.text)}</li>`).join('')}
+    </ul>
+  </section>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>OyVai Journal</title>
+<style>
+  body { margin: 0; background: #020617; color: #e2e8f0; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }
+  main { max-width: 720px; margin: 0 auto; padding: 48px 24px; }
+  h1 { margin: 0; font-size: 28px; }
+  .meta { color: #64748b; font-size: 13px; }
+  .legend { display: flex; flex-wrap: wrap; gap: 12px; padding: 0; list-style: none; color: #94a3b8; font-size: 13px; }
+  section { margin-top: 28px; padding: 16px 20px; border: 1px solid #1e293b; border-radius: 16px; background: #0f172a; }
+  h2 { margin: 0 0 8px; font-size: 14px; color: #94a3b8; letter-spacing: 0.04em; }
+  section ul { margin: 0; padding: 0; list-style: none; }
+  section li { padding: 2px 0; }
+  .dot { display: inline-block; width: 9px; height: 9px; margin-right: 8px; border-radius: 50%; }
+  .dot.none { border: 1px solid #475569; }
+</style>
+</head>
+<body>
+<main>
+  <h1>OyVai Journal</h1>
+  <p class="meta">${subtitle ? `${subtitle} · ` : ''}${days.length} ${days.length === 1 ? 'day' : 'days'} · exported ${escapeHtml(localDateKey(meta.exportedAt))}</p>
+  <ul class="legend">${legend}</ul>${body}
+</main>
+</body>
+</html>
+`;
+}
+function icsText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+// Content lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1)
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch, 'utf8') > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+function exportToIcs(days, states, meta) {
+  const titles = new Map(states.map((s) => [s.code, s.title]));
+  const compact = (dateKey) => dateKey.replace(/-/g, '');
+  const stamp = new Date(meta.exportedAt).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//OyVai//Daily Notes//EN', 'CALSCALE:GREGORIAN', 'X-WR-CALNAME:OyVai Journal'];
+  for (const day of days) {
+    const stateTitles = [...new Set(day.bullets.flatMap((b) => b.labels.map((l) => titles.get(l.code) || l.code)))];
+    const count = `${day.bullets.length} ${day.bullets.length === 1 ? 'note' : 'notes'}`;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${day.dateKey}@oyvai`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compact(day.dateKey)}`,
+      `DTEND;VALUE=DATE:${compact(formatDateKey(parseDateKey(day.dateKey) + DAY_MS))}`,
+      `SUMMARY:${icsText(stateTitles.length ? `OyVai: ${count} (${stateTitles.join(', ')})` : `OyVai: ${count}`)}`,
+      `DESCRIPTION:${icsText(day.bullets.map((b) => `- ${b.text}`).join('\n'))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+function renderExport(format, days, states, meta) {
+  if (format === 'json') return exportToJson(days, states, meta);
+  if (format === 'csv') return exportToCsv(days, states);
+  if (format === 'html') return exportToHtml(days, states, meta);
+  return exportToIcs(days, states, meta);
+}
+// ----- Classification cache -----
+// userData/classification-cache.json maps sha256(state definitions hash + provider + model + bullet
+// text) to the labels the LLM gave. Editing any state's title, description or rules, or switching
+// the classification provider or model, changes the key, so every bullet is classified afresh.
+function getClassificationCachePath() {
+  return path.join(app.getPath('userData'), 'classification-cache.json');
+}
+function hashStateDefinitions(states) {
+  const definition = (states || []).map((s) => [s.code, s.title, s.description, s.rules || [], s.keywords || []]);
+  return crypto.createHash('sha256').update(JSON.stringify(definition)).digest('hex');
+}
+function classificationCacheKey(stateHash, provider, bullet) {
+  const text = String(bullet || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(`${stateHash}\n${provider?.id || ''}\n${provider?.model || ''}\n${text}`).digest('hex');
+}
+function loadClassificationCache() {
+  if (classificationCache) return classificationCache;
+  classificationCache = new Map();
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getClassificationCachePath(), 'utf8'));
+    for (const [key, entry] of Object.entries(parsed.entries || {})) {
+      const labels = normalizeCategoryLabels(entry?.labels);
+      if (labels.length > 0) classificationCache.set(key, { labels, at: Number(entry.at) || 0 });
+    }
+  } catch (_) {}
+  return classificationCache;
+}
+function scheduleClassificationCacheSave() {
+  if (classificationCacheTimer) clearTimeout(classificationCacheTimer);
+  classificationCacheTimer = setTimeout(() => {
+    classificationCacheTimer = null;
+    saveClassificationCache().catch((error) => console.error('Failed to save classification cache', error));
+  }, 1000);
+}
+async function saveClassificationCache() {
+  const cache = loadClassificationCache();
+  if (cache.size > CLASSIFICATION_CACHE_LIMIT) {
+    // Drop the least recently stored entries
+    const oldest = [...cache.entries()].sort((a, b) => a[1].at - b[1].at).slice(0, cache.size - CLASSIFICATION_CACHE_LIMIT);
+    for (const [key] of oldest) cache.delete(key);
+  }
+  const filePath = getClassificationCachePath();
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await writeFileAtomic(filePath, JSON.stringify({ version: 1, entries: Object.fromEntries(cache) }));
+}
+// ----- Usage ledger -----
+// Every completion's usage block is appended to userData/usage.jsonl with the cost at the time
+// of the call; the rail shows per-day and per-month totals built from it.
+function getUsageLedgerPath() {
+  return path.join(app.getPath('userData'), 'usage.jsonl');
+}
+function getModelPricing(provider) {
+  // Keyless providers are local servers
+  if (!provider.requiresKey && !provider.apiKey) return null;
+  const pricing = { ...MODEL_PRICING, ...(loadSettings().modelPricing || {}) };
+  const model = String(provider.model || '');
+  const match = Object.keys(pricing)
+    .filter((name) => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing[match] : null;
+}
+function addUsageToDay(entry) {
+  const dateKey = localDateKey(entry.at);
+  const day = usageDays.get(dateKey) || { promptTokens: 0, completionTokens: 0, cost: 0, calls: 0 };
+  day.promptTokens += entry.promptTokens;
+  day.completionTokens += entry.completionTokens;
+  day.cost += entry.cost;
+  day.calls += 1;
+  usageDays.set(dateKey, day);
+}
+function loadUsageDays() {
+  if (usageDays) return usageDays;
+  usageDays = new Map();
+  let raw = '';
+  try { raw = fs.readFileSync(getUsageLedgerPath(), 'utf8'); } catch (_) {}
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      addUsageToDay({ at: Number(entry.at) || 0, promptTokens: Number(entry.promptTokens) || 0, completionTokens: Number(entry.completionTokens) || 0, cost: Number(entry.cost) || 0 });
+    } catch (_) {}
+  }
+  return usageDays;
+}
+function recordUsage(provider, feature, usage) {
+  if (!usage || typeof usage !== 'object') return;
+  const promptTokens = Number(usage.prompt_tokens) || 0;
+  const completionTokens = Number(usage.completion_tokens) || 0;
+  if (promptTokens + completionTokens === 0) return;
+  const pricing = getModelPricing(provider);
+  const cost = pricing ? (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6 : 0;
+  const entry = { at: Date.now(), feature: feature || 'other', provider: provider.id, model: provider.model, promptTokens, completionTokens, cost };
+  loadUsageDays();
+  addUsageToDay(entry);
+  const filePath = getUsageLedgerPath();
+  fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    .then(() => fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf8'))
+    .catch((error) => console.error('Failed to record usage', error));
+  broadcastUsageUpdated();
+}
+function summarizeUsage() {
+  const days = loadUsageDays();
+  const today = localDateKey(Date.now());
+  const month = today.slice(0, 7);
+  const empty = () => ({ promptTokens: 0, completionTokens: 0, cost: 0, calls: 0 });
+  const sum = (target, day) => {
+    target.promptTokens += day.promptTokens;
+    target.completionTokens += day.completionTokens;
+    target.cost += day.cost;
+    target.calls += day.calls;
+  };
+  const totals = { today: empty(), month: empty() };
+  const months = {};
+  for (const [dateKey, day] of days) {
+    if (dateKey === today) sum(totals.today, day);
+    if (dateKey.startsWith(month)) sum(totals.month, day);
+    sum(months[dateKey.slice(0, 7)] || (months[dateKey.slice(0, 7)] = empty()), day);
+  }
+  const recentDays = [...days.entries()].sort(([a], [b]) => sortDateKeysDesc(a, b)).slice(0, 30)
+    .map(([dateKey, day]) => ({ dateKey, ...day }));
+  const recentMonths = Object.entries(months).sort(([a], [b]) => sortDateKeysDesc(a, b)).slice(0, 12)
+    .map(([key, totalsForMonth]) => ({ month: key, ...totalsForMonth }));
+  return { today: totals.today, month: totals.month, days: recentDays, months: recentMonths, cachedBullets: loadClassificationCache().size };
+}
+function broadcastUsageUpdated() {
+  if (usageBroadcastTimer) return;
+  usageBroadcastTimer = setTimeout(() => {
+    usageBroadcastTimer = null;
+    const summary = summarizeUsage();
+    for (const window of BrowserWindow.getAllWindows()) {
+      window.webContents.send('usage:updated', summary);
+    }
+  }, 500);
 }
 function buildClassificationPrompt(bullets, states) {
   // Include all available states so the model compares each bullet against every description
-  const expanded = states.map((s) => ({ code: s.code, title: s.title, description: s.description }));
+  const expanded = states.map((s) => ({ code: s.code, title: s.title, description: s.description, keywords: stateKeywords(s) }));
   const allowed = expanded.map((s) => s.code);
   const system = (
     'You are a precise classifier. For each input bullet, directly compare the bullet text against EVERY provided state. ' +
-    'Each state description is a comma-separated keyword list. Split descriptions on commas, trim, lowercase, and treat them as keywords/phrases. ' +
+    'Each state has a list of keywords/phrases; its description only adds context. ' +
     'Compute a correlation score per state using: (1) count of exact keyword/phrase overlaps (case-insensitive), (2) coverage of distinct keywords, and (3) semantic similarity between bullet terms and the keywords. ' +
-    'Choose exactly ONE state CODE per bullet - the state with the highest correlation. Break ties by: more exact matches, then longer phrase matches, then better semantic similarity. ' +
+    'Choose the ONE state CODE with the highest correlation per bullet. Break ties by: more exact matches, then longer phrase matches, then better semantic similarity. ' +
+    'Only when a bullet clearly covers several states, label it with up to three codes weighted by relevance, weights summing to 1. ' +
     'Use ONLY the provided state codes. Respond ONLY with strict JSON.'
   );
   const user = {
     bullets,
     states: expanded,
     instructions:
-      'Return JSON {"labels":[code,...]} aligned 1:1 with bullets. ' +
-      'Compare each bullet to ALL states using their comma-separated keyword descriptions and select the single most correlated code. ' +
+      'Return JSON {"labels":[label,...]} aligned 1:1 with bullets, where a label is a code string or, for multi-state bullets, an object of code to weight such as {"c":0.7,"f":0.3}. ' +
+      'Compare each bullet to ALL states using their keywords and prefer the single most correlated code. ' +
       'Only use codes in "allowed". No explanations.',
     allowed,
   };
   return {
-    model: 'gpt-4o-mini',
     temperature: 0,
     response_format: { type: 'json_object' },
     messages: [
@@ -694,40 +3093,693 @@ function buildClassificationPrompt(bullets, states) {
     ],
   };
 }
-function fetchOpenAI(pathname, apiKey, body) {
+// ----- Local classifier -----
+// Scores bullets against each state's keywords (stateKeywords) plus the state's own regex rules. 'local' labels with these scores alone, 'hybrid' only sends
+// bullets below the confidence threshold to the LLM, 'llm' skips the local pass entirely.
+function getClassifierModes() {
+  return ['llm', 'local', 'hybrid'];
+}
+function getClassifierSettings() {
+  const settings = loadSettings();
+  const mode = getClassifierModes().includes(settings.classifierMode) ? settings.classifierMode : 'llm';
+  const threshold = Number(settings.classifierThreshold);
+  return { mode, threshold: Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : 0.5 };
+}
+// A missing key only blocks the LLM-only mode; hybrid falls back to the local labels
+function prepareClassification() {
+  const classifier = getClassifierSettings();
+  if (classifier.mode === 'local') return { classifier, provider: null };
+  const provider = resolveProvider('classification');
+  const keyError = getProviderKeyError(provider);
+  if (keyError && classifier.mode === 'llm') return { error: keyError };
+  return { classifier, provider: keyError ? null : provider };
+}
+// A state without its own keyword list falls back to the comma-separated phrases of its description
+function stateKeywords(state) {
+  if (Array.isArray(state.keywords) && state.keywords.length > 0) return state.keywords;
+  return String(state.description || '').split(',').map((k) => k.trim().replace(/[.;:]+$/, '').toLowerCase()).filter(Boolean);
+}
+function normalizeStateRules(rules) {
+  const list = Array.isArray(rules) ? rules : String(rules || '').split('\n');
+  const out = [];
+  for (const raw of list) {
+    const rule = String(raw || '').trim();
+    if (!rule) continue;
+    if (rule.length > 200) return null;
+    try { new RegExp(rule, 'i'); } catch (_) { return null; }
+    out.push(rule);
+  }
+  return out.slice(0, 20);
+}
+// Light suffix stripping so "budgeting", "budgets" and "budget" meet on the same stem
+function stemWord(word) {
+  let w = String(word || '').toLowerCase();
+  if (w.length > 4 && w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.length > 4 && /(ss|x|z|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.length > 3 && w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  for (const suffix of ['ing', 'ed', 'ly', 'ness', 'ment']) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) { w = w.slice(0, -suffix.length); break; }
+  }
+  if (/([b-df-hj-np-tv-z])\1$/.test(w) && !/(ll|ss|zz)$/.test(w)) w = w.slice(0, -1);
+  if (w.length > 3 && w.endsWith('e')) w = w.slice(0, -1);
+  return w;
+}
+function tokenizeForClassifier(text) {
+  return (String(text || '').toLowerCase().replace(/'/g, '').match(/[a-z0-9]+/g) || []).map(stemWord);
+}
+function compileStateMatchers(states) {
+  return states.map((state) => {
+    const phrases = [state.title, ...stateKeywords(state)]
+      .map((k) => tokenizeForClassifier(k))
+      .filter((tokens) => tokens.length > 0);
+    const rules = [];
+    for (const rule of Array.isArray(state.rules) ? state.rules : []) {
+      try { rules.push(new RegExp(rule, 'i')); } catch (_) {}
+    }
+    return { code: state.code, phrases, rules };
+  });
+}
+function scoreBulletAgainstState(bullet, tokens, matcher) {
+  let score = 0;
+  for (const phrase of matcher.phrases) {
+    let found = false;
+    for (let i = 0; i + phrase.length <= tokens.length && !found; i += 1) {
+      found = phrase.every((t, j) => tokens[i + j] === t);
+    }
+    // Multi-word phrases count for more than their words would separately
+    if (found) score += phrase.length === 1 ? 1 : phrase.length + 1;
+  }
+  for (const rule of matcher.rules) {
+    if (rule.test(bullet)) score += 3;
+  }
+  return score;
+}
+// Returns [{ code, labels, score, confidence }] aligned with bullets; code is null when nothing
+// matched. Confidence is the winning margin, damped while the winner rests on a single keyword.
+// Runners-up scoring close to the winner become weighted secondary labels.
+function classifyBulletsLocally(bullets, states) {
+  const matchers = compileStateMatchers(states);
+  return bullets.map((bullet) => {
+    const tokens = tokenizeForClassifier(bullet);
+    const ranked = matchers
+      .map((m) => ({ code: m.code, score: scoreBulletAgainstState(bullet, tokens, m) }))
+      .sort((a, b) => b.score - a.score);
+    const best = ranked[0];
+    if (!best || best.score <= 0) return { code: null, labels: [], score: 0, confidence: 0 };
+    const runnerUp = ranked[1] ? ranked[1].score : 0;
+    const confidence = ((best.score - runnerUp) / best.score) * Math.min(1, best.score / 2);
+    const picked = ranked.slice(0, 3).filter((r) => r.score >= Math.max(2, best.score * 0.6));
+    const sum = picked.reduce((acc, r) => acc + r.score, 0);
+    const labels = picked.length > 1
+      ? picked.map((r) => ({ code: r.code, weight: Math.round((r.score / sum) * 100) / 100 }))
+      : [{ code: best.code, weight: null }];
+    return { code: best.code, labels, score: best.score, confidence };
+  });
+}
+async function classifyBullets(bullets, states, provider, classifier = getClassifierSettings(), requestOptions) {
+  if (classifier.mode === 'llm') return classifyBulletsWithOpenAI(bullets, states, provider, requestOptions);
+  const local = classifyBulletsLocally(bullets, states);
+  const codes = local.map((r) => r.labels);
+  if (classifier.mode === 'local' || !provider) return codes;
+  const unsure = [];
+  local.forEach((r, i) => { if (r.confidence < classifier.threshold) unsure.push(i); });
+  if (unsure.length === 0) return codes;
+  let llmCodes = null;
+  try {
+    llmCodes = await classifyBulletsWithOpenAI(unsure.map((i) => bullets[i]), states, provider, requestOptions);
+  } catch (error) {
+    // The batch job retries and reports provider errors itself
+    if (requestOptions?.rejectOnError) throw error;
+  }
+  // Keep the local guesses when the LLM is unreachable or answers out of shape
+  if (llmCodes && llmCodes.length === unsure.length) {
+    unsure.forEach((i, j) => { if (llmCodes[j] && llmCodes[j].length > 0) codes[i] = llmCodes[j]; });
+  }
+  return codes;
+}
+// ----- LLM providers -----
+// Every provider speaks the OpenAI chat-completions protocol; baseUrl points at its /v1 root
+// (api.openai.com, a llama.cpp or Ollama server, a mock). Built-ins can be edited through
+// settings.providerOverrides, and settings.featureProviders picks one per feature.
+function getDefaultProviders() {
+  return [
+    { id: 'openai', title: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', timeoutMs: 60000, headers: {}, requiresKey: true },
+    { id: 'local', title: 'Local (OpenAI-compatible)', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', timeoutMs: 120000, headers: {}, requiresKey: false },
+  ];
+}
+function getLlmFeatures() {
+  return ['classification', 'chat', 'review'];
+}
+function loadProviders() {
+  const settings = loadSettings();
+  const overrides = settings.providerOverrides || {};
+  return getDefaultProviders().map((p) => {
+    const merged = { ...p, ...(overrides[p.id] || {}), id: p.id };
+    // The OpenAI key keeps living in settings.openaiApiKey / OPENAI_API_KEY (or the sealed secrets)
+    const stored = settings.sealedSecrets ? (vaultSecrets?.secrets.providers || {})[p.id] : merged.apiKey;
+    merged.apiKey = p.id === 'openai' ? getOpenAIKey() : (String(stored || '').trim() || null);
+    return merged;
+  });
+}
+function resolveProvider(feature) {
+  const settings = loadSettings();
+  const providers = loadProviders();
+  const wanted = (settings.featureProviders || {})[feature];
+  return providers.find((p) => p.id === wanted) || providers[0];
+}
+function getProviderKeyError(provider) {
+  if (!provider.requiresKey || provider.apiKey) return null;
+  return provider.id === 'openai' ? 'NO_OPENAI_KEY' : 'NO_API_KEY';
+}
+// Renderer-safe view of the provider config: API keys are reported as present/absent only
+function describeLlmConfig() {
+  const settings = loadSettings();
+  const features = {};
+  for (const feature of getLlmFeatures()) features[feature] = resolveProvider(feature).id;
+  return {
+    providers: loadProviders().map(({ apiKey, ...rest }) => ({ ...rest, hasApiKey: Boolean(apiKey) })),
+    features,
+    classifier: getClassifierSettings(),
+    envKey: !getStoredOpenAIKey() && Boolean(getOpenAIKey()),
+    keysLocked: Boolean(settings.sealedSecrets) && !vaultSecrets,
+  };
+}
+function sanitizeHeaders(headers) {
+  const out = {};
+  if (!headers || typeof headers !== 'object') return out;
+  for (const [name, value] of Object.entries(headers)) {
+    const key = String(name).trim();
+    if (/^[A-Za-z0-9-]+$/.test(key) && typeof value === 'string') out[key] = value.trim();
+  }
+  return out;
+}
+function requestChatCompletion(provider, payload, options = {}) {
+  const body = JSON.stringify({ ...payload, model: provider.model });
+  const headers = { ...sanitizeHeaders(provider.headers) };
+  if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+  const base = String(provider.baseUrl || '').replace(/\/+$/, '');
+  return postJson(`${base}/chat/completions`, headers, body, Number(provider.timeoutMs) || 60000, options).then((data) => {
+    if (data) {
+      try { recordUsage(provider, options.feature, JSON.parse(data).usage); } catch (_) {}
+    }
+    return data;
+  });
+}
+// Non-2xx answers resolve to null, or with rejectOnError reject with { status, retryAfterMs }
+function postJson(urlString, headers, body, timeoutMs, { rejectOnError = false } = {}) {
   return new Promise((resolve, reject) => {
-    const req = https.request({ hostname: 'api.openai.com', path: pathname, method: 'POST', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` } }, (res) => {
-      let data = ''; res.on('data', (c) => (data += c)); res.on('end', () => { if (res.statusCode >= 200 && res.statusCode < 300) resolve(data); else resolve(null); });
+    let url;
+    try { url = new URL(urlString); } catch (_) { reject(new Error(`Invalid provider URL: ${urlString}`)); return; }
+    const client = url.protocol === 'http:' ? http : https;
+    const req = client.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers } }, (res) => {
+      let data = ''; res.on('data', (c) => (data += c)); res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) { resolve(data); return; }
+        if (!rejectOnError) { resolve(null); return; }
+        const error = new Error(`Provider answered HTTP ${res.statusCode}.`);
+        error.status = res.statusCode;
+        error.retryAfterMs = parseRetryAfter(res.headers['retry-after']);
+        reject(error);
+      });
+    });
+    req.setTimeout(timeoutMs, () => {
+      const error = new Error(`Request timed out after ${timeoutMs}ms.`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
     });
     req.on('error', reject); req.write(body); req.end();
   });
 }
 
-function broadcastNotesUpdated(dateKey) {
+// ----- Batch analysis -----
+// A few workers share one queue of days. Each finished day is written straight away (skipping days
+// edited meanwhile), so cancelling keeps everything done so far. Rate limits, 5xx answers and
+// network errors are retried with backoff, honouring Retry-After and pausing every worker.
+function getAnalysisConcurrency() {
+  const value = Number(loadSettings().analysisConcurrency);
+  return Number.isInteger(value) && value >= 1 && value <= 8 ? value : ANALYSIS_CONCURRENCY;
+}
+function describeAnalysisJob(job) {
+  return {
+    id: job.id,
+    total: job.dateKeys.length,
+    done: job.done,
+    updated: job.updated,
+    failed: job.failures.length,
+    cancelled: job.cancelled,
+    startedAt: job.startedAt,
+  };
+}
+function broadcastAnalysisProgress(payload) {
+  for (const window of BrowserWindow.getAllWindows()) {
+    window.webContents.send('analysis:progress', payload);
+  }
+}
+// Socket-level failures worth another attempt; anything else without an HTTP status (a full disk,
+// a bug) fails the day straight away with its message
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+function isNetworkError(error) {
+  return Boolean(error) && error.status === undefined && NETWORK_ERROR_CODES.includes(error.code);
+}
+function isRetryableAnalysisError(error) {
+  if (!error) return false;
+  if (error.status === undefined) return isNetworkError(error);
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+function analysisFailureReason(error) {
+  if (error?.status === 429) return 'RATE_LIMITED';
+  if (error?.status === 401 || error?.status === 403) return 'AUTH_FAILED';
+  if (error?.status !== undefined) return 'API_ERROR';
+  return isNetworkError(error) ? 'NETWORK_ERROR' : 'ERROR';
+}
+async function waitForAnalysis(job, ms) {
+  const until = Date.now() + ms;
+  while (!job.cancelled && Date.now() < until) {
+    await new Promise((resolve) => setTimeout(resolve, Math.min(250, until - Date.now())));
+  }
+}
+async function analyzeJobDay(job, dateKey) {
+  for (let attempt = 1; ; attempt += 1) {
+    if (job.pausedUntil > Date.now()) await waitForAnalysis(job, job.pausedUntil - Date.now());
+    if (job.cancelled) return { status: 'cancelled' };
+    const { notes } = await readNotes(job.filePath);
+    const content = (notes[dateKey] || '').trim();
+    if (!content) return { status: 'skipped' };
+    try {
+      const next = await classifyDayContent(content, loadActiveStates(), job.provider, job.classifier, { rejectOnError: true });
+      if (next === null) return { status: 'failed', reason: 'BAD_RESPONSE' };
+      let stale = false;
+      const changed = await updateNotesFile(job.filePath, (latest) => {
+        if ((latest[dateKey] || '').trim() !== content) { stale = true; return null; }
+        return { [dateKey]: next };
+      }, { source: 'analysis' });
+      if (stale) return { status: 'failed', reason: 'CHANGED' };
+      if (changed.length > 0) broadcastNotesUpdated(dateKey);
+      return { status: changed.length > 0 ? 'updated' : 'unchanged' };
+    } catch (error) {
+      if (!isRetryableAnalysisError(error) || attempt >= ANALYSIS_MAX_ATTEMPTS) {
+        // A rejected key fails every remaining day the same way; stop instead of hammering the API
+        if (error?.status === 401 || error?.status === 403) job.cancelled = true;
+        return { status: 'failed', reason: analysisFailureReason(error), error: error?.message };
+      }
+      const backoff = Math.min(ANALYSIS_BACKOFF_MS * 2 ** (attempt - 1), ANALYSIS_MAX_BACKOFF_MS);
+      const delay = Math.min(Math.max(error.retryAfterMs || 0, backoff), ANALYSIS_MAX_BACKOFF_MS) + Math.floor(Math.random() * 250);
+      if (error.status === 429) job.pausedUntil = Math.max(job.pausedUntil, Date.now() + delay);
+      await waitForAnalysis(job, delay);
+    }
+  }
+}
+function startAnalysisJob(filePath, dateKeys, { classifier, provider }) {
+  const job = {
+    id: `analysis-${Date.now()}`,
+    filePath,
+    dateKeys,
+    classifier,
+    provider,
+    done: 0,
+    updated: 0,
+    failures: [],
+    cancelled: false,
+    pausedUntil: 0,
+    startedAt: Date.now(),
+  };
+  analysisJob = job;
+  let next = 0;
+  const worker = async () => {
+    while (!job.cancelled && next < dateKeys.length) {
+      const dateKey = dateKeys[next];
+      next += 1;
+      let result;
+      try {
+        result = await analyzeJobDay(job, dateKey);
+      } catch (error) {
+        result = { status: 'failed', reason: 'ERROR', error: error.message };
+      }
+      if (result.status === 'cancelled') break;
+      job.done += 1;
+      if (result.status === 'updated') job.updated += 1;
+      if (result.status === 'failed') job.failures.push({ dateKey, reason: result.reason, error: result.error });
+      broadcastAnalysisProgress({ ...describeAnalysisJob(job), dateKey, status: result.status, reason: result.reason });
+    }
+  };
+  const workers = Array.from({ length: Math.min(getAnalysisConcurrency(), dateKeys.length) }, worker);
+  Promise.all(workers).then(() => {
+    lastAnalysisReport = {
+      ...describeAnalysisJob(job),
+      finishedAt: Date.now(),
+      failures: job.failures.sort((a, b) => sortDateKeysDesc(a.dateKey, b.dateKey)),
+    };
+    analysisJob = null;
+    broadcastAnalysisProgress({ ...lastAnalysisReport, finished: true });
+  });
+  return job;
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? 0 : Math.max(0, time - Date.now());
+}
+
+function broadcastNotesUpdated(dateKey, extra = {}) {
+  invalidateChatContexts();
   for (const window of BrowserWindow.getAllWindows()) {
-    window.webContents.send('notes:updated', { dateKey });
+    window.webContents.send('notes:updated', { dateKey, ...extra });
   }
 }
 
 // Chat helper functions
-async function getChatContext(state) {
+// ----- Chat retrieval -----
+// chat:update-context chunks the notes into one document per day (only the state's bullets for
+// a state chat) and saves them to contexts/<state>-index.json. Each question is then ranked
+// against those days with BM25 and only the best matches go into the system prompt.
+const CHAT_STOP_WORDS = new Set([
+  'a', 'about', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'did', 'do',
+  'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+].map(stemWord));
+function getChatIndexPath(state) {
+  const name = String(state || '');
+  if (!/^[a-z0-9_-]{1,16}$/i.test(name)) throw new Error('Invalid chat state.');
+  return path.join(getNotebookDataDir('contexts'), `${name.toLowerCase()}-index.json`);
+}
+function chatTokens(text) {
+  return tokenizeForClassifier(text).filter((t) => t.length > 1 && !CHAT_STOP_WORDS.has(t));
+}
+// builtAt should be taken before the notes were read so changes made meanwhile count as newer
+async function buildChatIndex(state, notes, builtAt = Date.now()) {
+  const docs = [];
+  const entries = Object.entries(notes || {}).sort(([a], [b]) => sortDateKeysDesc(a, b));
+  for (const [dateKey, content] of entries) {
+    const bullets = state === 'notes' ? extractBulletBase(content || '').bullets : collectStateBullets(content, state);
+    if (bullets.length > 0) docs.push({ dateKey, bullets });
+  }
+  const index = { state, builtAt, docs };
+  const filePath = getChatIndexPath(state);
+  await writeNotebookFile(filePath, JSON.stringify(index));
+  chatIndexCache.delete(filePath);
+  return index;
+}
+// Term statistics are derived on load and cached until the index file changes
+async function loadChatIndex(state) {
+  const filePath = getChatIndexPath(state);
+  let stat;
   try {
-    const contextDir = path.join(app.getPath('userData'), 'contexts');
-    const contextFile = path.join(contextDir, `${state}-context.md`);
-    
-    // Check if context file exists
-    try {
-      await fs.promises.access(contextFile);
-      const content = await fs.promises.readFile(contextFile, 'utf8');
-      return content;
-    } catch (error) {
-      // Context file doesn't exist
-      return null;
+    stat = await fs.promises.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  const cached = chatIndexCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.index;
+  const raw = JSON.parse(await readNotebookFile(filePath));
+  const df = new Map();
+  const docs = (Array.isArray(raw.docs) ? raw.docs : []).map((doc) => {
+    const tf = new Map();
+    const tokens = chatTokens(doc.bullets.join(' '));
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    return { dateKey: doc.dateKey, bullets: doc.bullets, tf, length: tokens.length };
+  });
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const index = { builtAt: raw.builtAt, docs, df, avgLength };
+  chatIndexCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, index });
+  return index;
+}
+function rankChatDocs(index, query, limit) {
+  const terms = [...new Set(chatTokens(query))];
+  const k1 = 1.2;
+  const b = 0.75;
+  const total = index.docs.length;
+  const scored = [];
+  for (const doc of index.docs) {
+    let score = 0;
+    for (const term of terms) {
+      const f = doc.tf.get(term) || 0;
+      if (!f) continue;
+      const df = index.df.get(term) || 0;
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * (doc.length / (index.avgLength || 1))));
+    }
+    if (score > 0) scored.push({ doc, score });
+  }
+  scored.sort((x, y) => y.score - x.score || sortDateKeysDesc(x.doc.dateKey, y.doc.dateKey));
+  return scored.slice(0, limit);
+}
+// Resolves to { text, sources } with the best-matching days, newest first, or null without notes
+async function retrieveChatContext(state, query) {
+  let index = await loadChatIndex(state);
+  // Never answer from an index older than the notes, even if the debounced refresh is pending
+  if (!index || await isChatIndexStale(index)) {
+    const settings = loadSettings();
+    if (!settings.notesFilePath) return null;
+    const startedAt = Date.now();
+    await buildChatIndex(state, (await readNotes(settings.notesFilePath)).notes, startedAt);
+    index = await loadChatIndex(state);
+  }
+  if (!index || index.docs.length === 0) return null;
+  const limit = Number(loadSettings().chatRetrievalLimit) || CHAT_RETRIEVAL_LIMIT;
+  let picked = rankChatDocs(index, query, limit).map((r) => r.doc);
+  // Questions without word overlap ("how was my week?") get the most recent days instead
+  if (picked.length === 0) picked = index.docs.slice(0, CHAT_RECENT_FALLBACK);
+  picked = [...picked].sort((x, y) => sortDateKeysDesc(x.dateKey, y.dateKey));
+  const text = picked.map((doc) => {
+    let body = doc.bullets.map((bullet) => `- ${bullet}`).join('\n');
+    if (body.length > 2000) body = `${body.slice(0, 2000)}\n- ...`;
+    return `## ${doc.dateKey}\n${body}`;
+  }).join('\n\n');
+  return { text, sources: picked.map((doc) => doc.dateKey) };
+}
+
+// Saves, analysis, label picks, state edits and external edits all end in one of the broadcast
+// helpers, which call this. Existing indexes are rebuilt together shortly after the last change.
+function invalidateChatContexts() {
+  chatContextsChangedAt = Date.now();
+  if (chatContextTimer) clearTimeout(chatContextTimer);
+  chatContextTimer = setTimeout(() => {
+    chatContextTimer = null;
+    refreshChatContexts().catch((error) => console.error('Context refresh error:', error));
+  }, CHAT_CONTEXT_REFRESH_DELAY);
+}
+async function refreshChatContexts() {
+  const settings = loadSettings();
+  if (!settings.notesFilePath) return;
+  const dir = getNotebookDataDir('contexts');
+  let files = [];
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  const known = new Set(['notes', ...loadAllStates().map((s) => s.code)]);
+  const startedAt = Date.now();
+  const { notes } = await readNotes(settings.notesFilePath);
+  const refreshed = [];
+  for (const file of files) {
+    const m = file.match(/^([a-z0-9_-]{1,16})-index\.json$/);
+    if (!m) continue;
+    if (!known.has(m[1])) {
+      // The state was deleted; its index would only ever serve stale bullets
+      await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+      chatIndexCache.delete(path.join(dir, file));
+      continue;
     }
+    await buildChatIndex(m[1], notes, startedAt);
+    refreshed.push(m[1]);
+  }
+  for (const window of BrowserWindow.getAllWindows()) {
+    window.webContents.send('chat:context-updated', { states: refreshed });
+  }
+}
+// Stale when built before the last in-app change or before the notes file was last written
+async function isChatIndexStale(index) {
+  if (index.builtAt < chatContextsChangedAt) return true;
+  const notesPath = loadSettings().notesFilePath;
+  if (!notesPath) return false;
+  try {
+    return index.builtAt < Math.floor((await fs.promises.stat(notesPath)).mtimeMs);
+  } catch (_) {
+    return false;
+  }
+}
+async function describeChatContext(state) {
+  const index = await loadChatIndex(state);
+  if (!index) return { built: false };
+  return { built: true, builtAt: index.builtAt, days: index.docs.length, stale: await isChatIndexStale(index) };
+}
+
+// ----- Chat threads -----
+// One JSON file per chat state under userData/chats. The full thread is kept on disk; only the
+// newest turns that fit the token budget are sent with each request.
+function getChatThreadPath(state) {
+  const name = String(state || '');
+  if (!/^[a-z0-9_-]{1,16}$/i.test(name)) throw new Error('Invalid chat state.');
+  return path.join(getNotebookDataDir('chats'), `${name.toLowerCase()}.json`);
+}
+// A renamed state keeps its conversation unless the new code already has one
+async function renameChatThread(from, to) {
+  try {
+    await fs.promises.access(getChatThreadPath(to));
+    return;
+  } catch (_) {}
+  try {
+    await fs.promises.rename(getChatThreadPath(from), getChatThreadPath(to));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Chat rename error:', error);
+  }
+}
+async function loadChatThread(state) {
+  try {
+    const parsed = JSON.parse(await readNotebookFile(getChatThreadPath(state)));
+    return Array.isArray(parsed.messages) ? parsed.messages.filter((m) => m && typeof m.content === 'string') : [];
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return [];
+    throw error;
+  }
+}
+async function saveChatThread(state, messages) {
+  const kept = messages.slice(-CHAT_THREAD_LIMIT);
+  await writeNotebookFile(getChatThreadPath(state), JSON.stringify({ state, messages: kept }, null, 2));
+  return kept;
+}
+// Rough count (~4 characters per token) is enough to stay clear of context limits
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+function trimChatHistory(messages, budget) {
+  const out = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    const cost = estimateTokens(messages[i].content) + 4;
+    // The newest message always goes out, even when it alone exceeds the budget
+    if (out.length > 0 && used + cost > budget) break;
+    out.unshift({ role: messages[i].role, content: messages[i].content });
+    used += cost;
+  }
+  while (out.length > 1 && out[0].role !== 'user') out.shift();
+  return out;
+}
+async function runChatTurn(sender, state, requestId, buildThread) {
+  const provider = resolveProvider('chat');
+  const keyError = getProviderKeyError(provider);
+  if (keyError) {
+    return { success: false, reason: keyError };
+  }
+  const id = String(requestId || `${Date.now()}`);
+  if ([...chatStreams.values()].some((s) => s.state === state)) return { success: false, reason: 'BUSY' };
+  // Claim the state right away so a second send cannot start while the thread is loading
+  let cancelled = false;
+  const active = { state, cancel: () => { cancelled = true; } };
+  chatStreams.set(id, active);
+  const notebookId = loadSettings().activeNotebookId;
+
+  let messages = [];
+  let content = '';
+  let sources = [];
+  try {
+    messages = buildThread(await loadChatThread(state));
+    if (!messages) return { success: false, reason: 'NOTHING_TO_REGENERATE' };
+    messages = await saveChatThread(state, messages);
+    // Follow-ups lean on the previous question, so both feed the retrieval query
+    const query = messages.filter((m) => m.role === 'user').slice(-2).map((m) => m.content).join('\n');
+    const context = await retrieveChatContext(state, query);
+    sources = context ? context.sources : [];
+    const budget = Number(loadSettings().chatHistoryTokenBudget) || CHAT_HISTORY_TOKEN_BUDGET;
+    const payload = {
+      messages: [
+        { role: 'system', content: buildChatSystemPrompt(state, context?.text) },
+        ...trimChatHistory(messages, budget),
+      ],
+      temperature: 0.7,
+      max_tokens: 1000,
+    };
+    if (cancelled) return { success: false, reason: 'CANCELLED', messages };
+    const stream = streamChatCompletion(provider, payload, (delta) => {
+      content += delta;
+      if (!sender.isDestroyed?.()) sender.send('chat:stream', { requestId: id, state, delta });
+    });
+    active.cancel = () => { cancelled = true; stream.cancel(); };
+    const ok = await stream.done;
+    if (!ok) return { success: false, reason: 'API_ERROR', messages };
   } catch (error) {
-    console.error('Error reading chat context:', error);
-    return null;
+    if (!cancelled) {
+      console.error('Chat error:', error);
+      return { success: false, reason: 'ERROR', error: error.message, messages };
+    }
+  } finally {
+    chatStreams.delete(id);
   }
+
+  content = content.trim();
+  if (!content) return { success: false, reason: cancelled ? 'CANCELLED' : 'NO_CONTENT', messages };
+  // Thread paths follow the active notebook, so a reply that outlived a switch is not saved into
+  // the other notebook's thread
+  if (loadSettings().activeNotebookId !== notebookId) return { success: false, reason: 'CANCELLED' };
+  // A stopped reply is kept as far as it got so the thread matches what the user saw
+  const reply = { role: 'assistant', content, sources, createdAt: Date.now(), ...(cancelled ? { cancelled: true } : {}) };
+  messages = await saveChatThread(state, [...messages, reply]);
+  return { success: true, content, sources, cancelled, messages };
+}
+// Streams an OpenAI-style chat completion (server-sent events). Servers that ignore
+// "stream" and answer with plain JSON are handled too: the whole reply arrives as one delta.
+// Returns { done, cancel }; done resolves true on success and false on a non-2xx answer.
+function streamChatCompletion(provider, payload, onDelta) {
+  // include_usage adds a final chunk carrying the usage block for the ledger
+  const body = JSON.stringify({ ...payload, model: provider.model, stream: true, stream_options: { include_usage: true } });
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...sanitizeHeaders(provider.headers) };
+  if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+  const base = String(provider.baseUrl || '').replace(/\/+$/, '');
+  const timeoutMs = Number(provider.timeoutMs) || 60000;
+  let req = null;
+  const done = new Promise((resolve, reject) => {
+    let url;
+    try { url = new URL(`${base}/chat/completions`); } catch (_) { reject(new Error(`Invalid provider URL: ${base}`)); return; }
+    const client = url.protocol === 'http:' ? http : https;
+    req = client.request(url, { method: 'POST', headers }, (res) => {
+      if (res.statusCode < 200 || res.statusCode >= 300) { res.resume(); resolve(false); return; }
+      const isStream = /text\/event-stream/i.test(String(res.headers['content-type'] || ''));
+      res.setEncoding('utf8');
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        if (!isStream) return;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/\r$/, '').match(/^data:\s*(.*)$/);
+          if (!data || data[1] === '[DONE]') continue;
+          try {
+            const chunk = JSON.parse(data[1]);
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) onDelta(delta);
+            if (chunk.usage) recordUsage(provider, 'chat', chunk.usage);
+          } catch (_) {}
+        }
+      });
+      res.on('end', () => {
+        if (!isStream) {
+          try {
+            const data = JSON.parse(buffer);
+            const content = data.choices?.[0]?.message?.content;
+            if (content) onDelta(content);
+            recordUsage(provider, 'chat', data.usage);
+          } catch (_) {}
+        }
+        resolve(true);
+      });
+      res.on('error', reject);
+      res.on('close', () => { if (!res.complete) reject(new Error('Connection closed before the reply finished.')); });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms.`)));
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+  return { done, cancel: () => req?.destroy(new Error('Cancelled')) };
 }
 
 function buildChatSystemPrompt(state, context) {
@@ -748,16 +3800,16 @@ function buildChatSystemPrompt(state, context) {
   }
   
   if (context) {
-    basePrompt += `\n\nHere is the relevant context from the user's notes:\n\n${context}\n\nUse this context to provide personalized and relevant responses. Reference specific entries when helpful.`;
+    basePrompt += `\n\nHere are the entries from the user's notes that best match the conversation, grouped by date:\n\n${context}\n\nUse these entries to provide personalized and relevant responses. They are a selection, not the full notes.`;
   } else {
-    basePrompt += `\n\nNote: No context data is currently available. Suggest updating the context to get personalized insights based on the user's notes.`;
+    basePrompt += `\n\nNote: No entries in the user's notes matched this conversation. Say so if the answer would depend on them, and answer from the conversation alone.`;
   }
   
   basePrompt += `\n\nGuidelines:
 - Be concise and helpful
-- Reference specific dates or entries when relevant
+- Cite the date of every entry you rely on in square brackets, e.g. [2024-03-14]
 - Provide actionable insights when possible
-- If asked about data you don't have, suggest updating the context`;
+- If the entries above do not cover the question, say so rather than guessing`;
   
   return basePrompt;
 }
@@ -769,6 +3821,10 @@ if (process.platform === 'win32') {
 app.whenReady().then(() => {
   registerIpcHandlers();
   createWindow();
+  watchNotesFile(loadSettings().notesFilePath);
+  // Leaving the desk locks too, whatever the idle timeout says
+  powerMonitor?.on('lock-screen', () => lockVault('system'));
+  powerMonitor?.on('suspend', () => lockVault('system'));
 });
 
 app.on('window-all-closed', () => {
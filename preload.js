@@ -3,6 +3,10 @@ const { contextBridge, ipcRenderer } = require('electron');
 const notesPathListeners = new Set();
 const notesUpdatedListeners = new Set();
 const statesUpdatedListeners = new Set();
+const chatStreamListeners = new Set();
+const analysisProgressListeners = new Set();
+const usageListeners = new Set();
+const vaultListeners = new Set();
 
 ipcRenderer.on('notes:path-changed', (_event, payload = {}) => {
   for (const listener of notesPathListeners) {
@@ -57,20 +61,101 @@ ipcRenderer.on('states:updated', (_event, payload = {}) => {
   }
 });
 
+ipcRenderer.on('chat:stream', (_event, payload = {}) => {
+  for (const listener of chatStreamListeners) {
+    try { listener(payload); } catch (error) { console.error('chat:stream listener error', error); }
+  }
+});
+
+ipcRenderer.on('analysis:progress', (_event, payload = {}) => {
+  for (const listener of analysisProgressListeners) {
+    try { listener(payload); } catch (error) { console.error('analysis:progress listener error', error); }
+  }
+});
+
+ipcRenderer.on('usage:updated', (_event, payload = {}) => {
+  for (const listener of usageListeners) {
+    try { listener(payload); } catch (error) { console.error('usage:updated listener error', error); }
+  }
+});
+
+ipcRenderer.on('vault:changed', (_event, payload = {}) => {
+  for (const listener of vaultListeners) {
+    try { listener(payload); } catch (error) { console.error('vault:changed listener error', error); }
+  }
+});
+
+ipcRenderer.on('chat:context-updated', (_event, payload = {}) => {
+  try {
+    if (typeof window !== 'undefined' && window.document) {
+      window.document.dispatchEvent(new CustomEvent('oyvai-chat-context-updated', { detail: payload }));
+    }
+  } catch (error) {
+    console.error('Failed to dispatch chat context event', error);
+  }
+});
+
 contextBridge.exposeInMainWorld('timelineAPI', {
   selectNotesFile: () => ipcRenderer.invoke('notes:select-file'),
   getNotesFilePath: () => ipcRenderer.invoke('notes:get-path'),
-  saveDailyNote: (dateKey, content) =>
-    ipcRenderer.invoke('notes:save', { dateKey, content }),
+  listNotebooks: () => ipcRenderer.invoke('notebooks:list'),
+  addNotebook: (title) => ipcRenderer.invoke('notebooks:add', { title }),
+  switchNotebook: (id) => ipcRenderer.invoke('notebooks:switch', { id }),
+  renameNotebook: (id, title) => ipcRenderer.invoke('notebooks:rename', { id, title }),
+  removeNotebook: (id) => ipcRenderer.invoke('notebooks:remove', { id }),
+  getVaultStatus: () => ipcRenderer.invoke('vault:status'),
+  unlockVault: (passphrase) => ipcRenderer.invoke('vault:unlock', { passphrase }),
+  lockVault: () => ipcRenderer.invoke('vault:lock'),
+  enableVault: (passphrase) => ipcRenderer.invoke('vault:enable', { passphrase }),
+  disableVault: (passphrase) => ipcRenderer.invoke('vault:disable', { passphrase }),
+  setAutoLock: (minutes) => ipcRenderer.invoke('vault:set-auto-lock', { minutes }),
+  reportActivity: () => ipcRenderer.invoke('vault:activity'),
+  saveDailyNote: (dateKey, content, { autosave = false } = {}) =>
+    ipcRenderer.invoke('notes:save', { dateKey, content, autosave }),
   loadDailyNote: (dateKey) => ipcRenderer.invoke('notes:load', dateKey),
+  loadDailyNotes: (from, to) => ipcRenderer.invoke('notes:load-range', { from, to }),
+  setBulletLabels: (dateKey, index, text, labels) => ipcRenderer.invoke('notes:set-bullet-labels', { dateKey, index, text, labels }),
+  toggleTask: (dateKey, index, text, done) => ipcRenderer.invoke('notes:toggle-task', { dateKey, index, text, done }),
+  carryForwardTasks: (today) => ipcRenderer.invoke('notes:carry-tasks', { today }),
+  searchNotes: (query, options = {}) => ipcRenderer.invoke('notes:search', { query, ...options }),
+  previewImport: (format) => ipcRenderer.invoke('notes:import-preview', { format }),
+  applyImport: (token) => ipcRenderer.invoke('notes:import-apply', { token }),
+  exportNotes: (options) => ipcRenderer.invoke('notes:export', options),
+  getDayHistory: (dateKey) => ipcRenderer.invoke('history:list', { dateKey }),
+  diffDayVersion: (dateKey, id, against = 'previous') => ipcRenderer.invoke('history:diff', { dateKey, id, against }),
+  restoreDayVersion: (dateKey, id) => ipcRenderer.invoke('history:restore', { dateKey, id }),
+  listDrafts: () => ipcRenderer.invoke('drafts:list').then(r => r?.drafts || []),
+  saveDraft: (dateKey, content, base) => ipcRenderer.invoke('drafts:save', { dateKey, content, base }),
+  discardDraft: (dateKey) => ipcRenderer.invoke('drafts:discard', { dateKey }),
   analyzeDay: (dateKey, force = false) => ipcRenderer.invoke('notes:analyze-day', { dateKey, force }),
   analyzeAllDays: (force = true) => ipcRenderer.invoke('notes:analyze-all', { force }),
+  cancelAnalyzeAll: () => ipcRenderer.invoke('notes:analyze-cancel'),
+  getAnalyzeAllStatus: () => ipcRenderer.invoke('notes:analyze-status'),
+  getReviews: () => ipcRenderer.invoke('reviews:list').then(r => r?.reviews || []),
+  generateReview: (periodKey) => ipcRenderer.invoke('reviews:generate', { periodKey }),
+  deleteReview: (periodKey) => ipcRenderer.invoke('reviews:delete', { periodKey }),
   getStates: () => ipcRenderer.invoke('states:get').then(r => r?.states || []),
   addState: (state) => ipcRenderer.invoke('states:add', state),
   updateState: (state) => ipcRenderer.invoke('states:update', state),
-  deleteState: (code) => ipcRenderer.invoke('states:delete', { code }),
-  sendChatMessage: (message, state) => ipcRenderer.invoke('chat:send-message', { message, state }),
+  archiveState: (code, archived = true) => ipcRenderer.invoke('states:archive', { code, archived }),
+  reorderStates: (codes) => ipcRenderer.invoke('states:reorder', { codes }),
+  renameState: (code, to) => ipcRenderer.invoke('states:rename', { code, to }),
+  getStateHistory: (code) => ipcRenderer.invoke('states:history', { code }),
+  setDayMetric: (dateKey, id, value) => ipcRenderer.invoke('metrics:set', { dateKey, id, value }),
+  getLlmConfig: () => ipcRenderer.invoke('llm:get-config'),
+  updateLlmProvider: (provider) => ipcRenderer.invoke('llm:update-provider', provider),
+  setFeatureProvider: (feature, providerId) => ipcRenderer.invoke('llm:set-feature-provider', { feature, providerId }),
+  testLlmProvider: (id) => ipcRenderer.invoke('llm:test-provider', { id }),
+  setClassifier: (options) => ipcRenderer.invoke('llm:set-classifier', options),
+  clearClassificationCache: () => ipcRenderer.invoke('llm:clear-classification-cache'),
+  getUsageSummary: () => ipcRenderer.invoke('usage:summary'),
+  sendChatMessage: (message, state, requestId) => ipcRenderer.invoke('chat:send-message', { message, state, requestId }),
+  regenerateChatMessage: (state, requestId) => ipcRenderer.invoke('chat:regenerate', { state, requestId }),
+  cancelChatMessage: (requestId) => ipcRenderer.invoke('chat:cancel', { requestId }),
+  getChatHistory: (state) => ipcRenderer.invoke('chat:get-history', { state }).then(r => r?.messages || []),
+  clearChatHistory: (state) => ipcRenderer.invoke('chat:clear-history', { state }),
   updateChatContext: (state) => ipcRenderer.invoke('chat:update-context', state),
+  getChatContextStatus: (state) => ipcRenderer.invoke('chat:context-status', { state }),
   onNotesPathChanged: (callback) => {
     if (typeof callback !== 'function') {
       return () => {};
@@ -94,4 +179,24 @@ contextBridge.exposeInMainWorld('timelineAPI', {
     statesUpdatedListeners.add(callback);
     return () => { statesUpdatedListeners.delete(callback); };
   },
+  onAnalysisProgress: (callback) => {
+    if (typeof callback !== 'function') { return () => {}; }
+    analysisProgressListeners.add(callback);
+    return () => { analysisProgressListeners.delete(callback); };
+  },
+  onUsageUpdated: (callback) => {
+    if (typeof callback !== 'function') { return () => {}; }
+    usageListeners.add(callback);
+    return () => { usageListeners.delete(callback); };
+  },
+  onVaultChanged: (callback) => {
+    if (typeof callback !== 'function') { return () => {}; }
+    vaultListeners.add(callback);
+    return () => { vaultListeners.delete(callback); };
+  },
+  onChatStream: (callback) => {
+    if (typeof callback !== 'function') { return () => {}; }
+    chatStreamListeners.add(callback);
+    return () => { chatStreamListeners.delete(callback); };
+  },
 });